@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const cookieParser = require('cookie-parser');
+const { createRetentionJob } = require('./retention');
+const { createVisitorHasher } = require('./visitors');
+const { createAuth } = require('./auth');
+const { createLinkStore } = require('./links');
+const { createStats } = require('./stats');
+const { createCampaignReport } = require('./campaigns');
+const { createMemoryStore, createDatabaseStore, rateLimit } = require('./ratelimit');
+const { createTrafficClassifier } = require('./traffic');
+const { createClickStore } = require('./clicks');
+const { createIngestQueue } = require('./ingest');
+const { createLogger, requestLogger } = require('./log');
+const { createTrackerMetrics } = require('./metrics');
+const { createReadinessCheck } = require('./health');
+const { createPresetStore } = require('./presets');
+const { createExportLog } = require('./export');
+const { createAuditLog } = require('./audit');
+const { createErasure } = require('./erasure');
+const { createGeoProvider, createGeoLookup } = require('./geo');
+const { getClientIp, firstQuery } = require('./request');
+const { createTrackRouter } = require('./routes/track');
+const { createGeoRouter } = require('./routes/geo');
+const { createPrivacyRouter } = require('./routes/privacy');
+const { createAccountsRouter } = require('./routes/accounts');
+const { createLinksRouter } = require('./routes/links');
+const { createAdminRouter } = require('./routes/admin');
+const { createApiRouter } = require('./routes/api');
+const { createCampaignsRouter } = require('./routes/campaigns');
+const { createHealthRouter } = require('./routes/health');
+
+// Build the tracker as an Express app. config comes from loadConfig() and storage is a migrated
+// backend (see ./storage). Nothing is listened on and the retention job is not started; both are
+// left to the caller, which finds the services on app.locals.tracker. Clicks are written through
+// the ingest queue, so call ingest.close() before closing storage. log defaults to JSON lines on
+// stdout (see ./log).
+function createApp({ config, storage, log = createLogger({ level: config.logLevel, ips: config.logIps }) }) {
+  const app = express();
+  const clientIp = (req) => getClientIp(req, config.trustedProxies, config.trustedProxyHeader);
+
+  // Per-response nonce so the inline scripts we serve pass the CSP
+  app.use((req, res, next) => {
+    res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+    next();
+  });
+
+  // Basic security and logging
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        scriptSrc: ["'self'", (req, res) => `'nonce-${res.locals.cspNonce}'`]
+      }
+    }
+  }));
+  if (config.accessLog) app.use(requestLogger(log, { clientIp }));
+  app.use(express.json({ limit: '64kb' }));
+  app.use(express.urlencoded({ extended: false, limit: '16kb' }));
+  app.use(cookieParser());
+  app.use(cors({ origin: config.baseUrl, credentials: true }));
+
+  const rateLimitStore = config.rateLimitStore === 'database' ? createDatabaseStore(storage) : createMemoryStore();
+  const clientIpKey = (req) => clientIp(req).ip || null;
+
+  const auth = createAuth({ storage, secureCookies: config.baseUrl.startsWith('https:'), sessionTtlMs: config.sessionTtlMs });
+
+  const clicks = createClickStore(storage);
+  const ingest = createIngestQueue({ clicks, ...config.ingest, log });
+  const metrics = createTrackerMetrics({ ingest });
+  const geoProvider = createGeoProvider(config.geo, { log });
+  const lookupApprox = createGeoLookup({ provider: geoProvider, granularity: config.geo.granularity });
+
+  // Request durations, labelled with the route pattern rather than the URL so slugs and ids
+  // do not each get a series
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      metrics.httpDuration.observe({
+        method: req.method,
+        route: req.route ? req.baseUrl + req.route.path : 'unmatched',
+        status: res.statusCode
+      }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+  });
+
+  const ctx = {
+    config,
+    log,
+    metrics,
+    auth,
+    clicks,
+    ingest,
+    checkReadiness: createReadinessCheck({ storage, ingest, maxQueue: config.ingest.maxQueue, log }),
+    links: createLinkStore(storage),
+    presets: createPresetStore(storage),
+    exportLog: createExportLog(storage),
+    audit: createAuditLog(storage),
+    erasure: createErasure(storage),
+    geoLookup: (ip) => {
+      const geo = lookupApprox(ip);
+      metrics.geoipLookups.inc({ result: geo.approx_country ? 'hit' : 'miss' });
+      return geo;
+    },
+    visitorHash: createVisitorHasher(storage),
+    classifyTraffic: createTrafficClassifier(),
+    computeStats: createStats(storage),
+    computeCampaigns: createCampaignReport(storage),
+    retentionJob: createRetentionJob({ storage, rules: config.retentionRules, intervalMs: config.retentionIntervalMs, log }),
+    clientIp,
+    rateLimits: {
+      track: rateLimit(rateLimitStore, [
+        { name: 'track-ip', ...config.rateLimits.trackIp, key: clientIpKey },
+        { name: 'track-link', ...config.rateLimits.trackLink, key: (req) => (req.params.slug ? `l/${req.params.slug}` : firstQuery(req.query.u) || null) }
+      ]),
+      geo: rateLimit(rateLimitStore, [
+        { name: 'geo-ip', ...config.rateLimits.geoIp, key: clientIpKey }
+      ], { json: true })
+    }
+  };
+
+  app.use(auth.loadAuth);
+
+  app.use(createHealthRouter(ctx));
+  app.use(createTrackRouter(ctx));
+  app.use(createGeoRouter(ctx));
+  app.use(createPrivacyRouter(ctx));
+  app.use(createAccountsRouter(ctx));
+  app.use(createLinksRouter(ctx));
+  app.use(createAdminRouter(ctx));
+  app.use(createApiRouter(ctx));
+  app.use(createCampaignsRouter(ctx));
+
+  // Errors passed to next(): logged, and answered without details, as JSON under /api. Client
+  // errors raised by the body parsers (malformed JSON, oversized bodies) keep their status.
+  // Express recognises the handler by its four parameters, so next stays although unused.
+  app.use((err, req, res, next) => {
+    const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+    if (status === 500) log.error('Request failed', { method: req.method, url: req.originalUrl, error: err.message, stack: err.stack });
+    // Part of the response is out already; cut it short rather than append an error to it
+    if (res.headersSent) return res.destroy();
+    const message = http.STATUS_CODES[status];
+    if (req.path.startsWith('/api/')) return res.status(status).json({ ok: false, error: message });
+    res.status(status).type('text/plain').send(message);
+  });
+
+  app.locals.tracker = { auth, retentionJob: ctx.retentionJob, links: ctx.links, ingest, geoProvider, log };
+  return app;
+}
+
+// Create the first admin account from config.adminUser / adminKey on an empty database.
+// Returns the new user, or null when accounts already exist.
+async function bootstrapAdmin(auth, config) {
+  if ((await auth.userCount()) > 0) return null;
+  if (!config.adminKey) {
+    throw new Error('Set ADMIN_KEY to a password of at least 10 characters before starting');
+  }
+  return auth.createUser({ username: config.adminUser, password: config.adminKey, role: 'admin' });
+}
+
+module.exports = { createApp, bootstrapAdmin };
@@ -0,0 +1,39 @@
+// Who read which click data, through which route and filters. Rows are never changed or deleted.
+function createAuditLog(storage) {
+  const sql = {
+    insert: `INSERT INTO audit_events (created_at, user_id, actor, via, token_id, route, filters, row_count)
+       VALUES (@created_at, @user_id, @actor, @via, @token_id, @route, @filters, @row_count)`,
+    page: `SELECT id, created_at, actor, via, token_id, route, filters, row_count FROM audit_events
+       WHERE (CAST(@actor AS TEXT) IS NULL OR actor = @actor) AND (CAST(@route AS TEXT) IS NULL OR route = @route)
+       ORDER BY id DESC LIMIT @limit OFFSET @offset`,
+    count: `SELECT COUNT(*) AS n FROM audit_events WHERE (CAST(@actor AS TEXT) IS NULL OR actor = @actor) AND (CAST(@route AS TEXT) IS NULL OR route = @route)`,
+    actors: `SELECT DISTINCT actor FROM audit_events ORDER BY actor`,
+    routes: `SELECT DISTINCT route FROM audit_events ORDER BY route`
+  };
+
+  return {
+    // Call from an authenticated route handler. The route is the matched pattern, e.g. "GET /admin/clicks/:id";
+    // filters are the effective query after defaults; rowCount is null for aggregates.
+    record(req, { filters = {}, rowCount = null } = {}) {
+      return storage.run(sql.insert, {
+        created_at: new Date().toISOString(),
+        user_id: req.auth.user.id,
+        actor: req.auth.user.username,
+        via: req.auth.via,
+        token_id: req.auth.tokenId || null,
+        route: `${req.method} ${req.baseUrl}${req.route.path}`,
+        filters: JSON.stringify(filters),
+        row_count: rowCount
+      });
+    },
+    async page({ actor = null, route = null, limit, offset }) {
+      const rows = await storage.all(sql.page, { actor, route, limit, offset });
+      const { n } = await storage.get(sql.count, { actor, route });
+      return { rows, total: n };
+    },
+    actors: async () => (await storage.all(sql.actors)).map((r) => r.actor),
+    routes: async () => (await storage.all(sql.routes)).map((r) => r.route)
+  };
+}
+
+module.exports = { createAuditLog };
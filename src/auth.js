@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// What each role may do. API tokens carry a subset of their owner's scopes. tokens:manage is
+// not in TOKEN_SCOPES, so only a signed-in session can create, list or revoke tokens.
+const ROLE_SCOPES = {
+  viewer: ['clicks:read', 'clicks:export', 'stats:read', 'retention:read', 'links:read', 'tokens:manage'],
+  admin: ['clicks:read', 'clicks:export', 'clicks:export:full', 'stats:read', 'retention:read', 'links:read', 'links:write', 'users:manage', 'audit:read', 'erasure:manage', 'metrics:read', 'tokens:manage']
+};
+// Errors carry the HTTP status the routes should answer with; anything else is not shown to the user
+function authError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+const TOKEN_SCOPES = ['clicks:read', 'clicks:export', 'clicks:export:full', 'stats:read', 'retention:read', 'links:read', 'links:write', 'metrics:read'];
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SESSION_COOKIE = 'sid';
+const LOGIN_CSRF_COOKIE = 'login_csrf';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a || ''));
+  const bufB = Buffer.from(String(b || ''));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, 64, SCRYPT_PARAMS);
+  return ['scrypt', SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [alg, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (alg !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+function createAuth({ storage, secureCookies = false, sessionTtlMs = 12 * 60 * 60 * 1000 }) {
+  const sql = {
+    countUsers: `SELECT COUNT(*) AS n FROM users`,
+    userByName: `SELECT id, username, password_hash, role FROM users WHERE username = ?`,
+    userById: `SELECT id, username, role FROM users WHERE id = ?`,
+    listUsers: `SELECT id, username, role, created_at FROM users ORDER BY username`,
+    insertUser: `INSERT INTO users (username, password_hash, role, created_at) VALUES (@username, @password_hash, @role, @created_at)
+       RETURNING id`,
+    deleteUser: `DELETE FROM users WHERE id = ?`,
+    deleteUserTokens: `DELETE FROM api_tokens WHERE user_id = ?`,
+    deleteUserPresets: `DELETE FROM admin_presets WHERE user_id = ?`,
+    disownUserLinks: `UPDATE links SET owner_id = NULL WHERE owner_id = ?`,
+    insertSession: `INSERT INTO sessions (id, user_id, csrf_token, created_at, expires_at) VALUES (@id, @user_id, @csrf_token, @created_at, @expires_at)`,
+    sessionById: `SELECT s.id, s.csrf_token, s.expires_at, u.id AS user_id, u.username, u.role
+       FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.id = ?`,
+    deleteSession: `DELETE FROM sessions WHERE id = ?`,
+    deleteUserSessions: `DELETE FROM sessions WHERE user_id = ?`,
+    deleteExpiredSessions: `DELETE FROM sessions WHERE expires_at < ?`,
+    insertToken: `INSERT INTO api_tokens (user_id, name, token_hash, scopes, created_at) VALUES (@user_id, @name, @token_hash, @scopes, @created_at)`,
+    tokenByHash: `SELECT t.id, t.scopes, u.id AS user_id, u.username, u.role
+       FROM api_tokens t JOIN users u ON u.id = t.user_id
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL`,
+    touchToken: `UPDATE api_tokens SET last_used_at = ? WHERE id = ?`,
+    listTokens: `SELECT t.id, t.name, t.scopes, t.created_at, t.last_used_at, t.revoked_at, u.username
+       FROM api_tokens t JOIN users u ON u.id = t.user_id
+       WHERE (CAST(@user_id AS INTEGER) IS NULL OR t.user_id = @user_id) ORDER BY t.created_at DESC`,
+    revokeToken: `UPDATE api_tokens SET revoked_at = @revoked_at
+       WHERE id = @id AND revoked_at IS NULL AND (CAST(@user_id AS INTEGER) IS NULL OR user_id = @user_id)`
+  };
+
+  // Compared against when the username is unknown so both paths cost one scrypt
+  const dummyHash = hashPassword(randomToken());
+
+  const cookieOptions = { httpOnly: true, sameSite: 'lax', secure: secureCookies, path: '/' };
+
+  async function userCount() {
+    return (await storage.get(sql.countUsers)).n;
+  }
+
+  async function createUser({ username, password, role }) {
+    const name = String(username || '').trim();
+    if (!/^[A-Za-z0-9_.@-]{1,64}$/.test(name)) throw authError('Username must be 1-64 letters, digits or _.@-');
+    if (!ROLE_SCOPES[role]) throw authError(`Unknown role "${role}"`);
+    if (String(password || '').length < 10) throw authError('Password must be at least 10 characters');
+    const values = { username: name, password_hash: await hashPassword(password), role, created_at: new Date().toISOString() };
+    let id;
+    try {
+      ({ id } = await storage.get(sql.insertUser, values));
+    } catch (e) {
+      if (storage.isUniqueViolation(e)) throw authError('That username is taken', 409);
+      throw e;
+    }
+    return storage.get(sql.userById, [id]);
+  }
+
+  // Everything that references the account goes with it; its links keep working without an owner
+  const deleteUser = (id) => storage.transaction(async (tx) => {
+    await tx.run(sql.deleteUserSessions, [id]);
+    await tx.run(sql.deleteUserTokens, [id]);
+    await tx.run(sql.deleteUserPresets, [id]);
+    await tx.run(sql.disownUserLinks, [id]);
+    return (await tx.run(sql.deleteUser, [id])).changes > 0;
+  });
+
+  async function authenticate(username, password) {
+    const row = await storage.get(sql.userByName, [String(username || '')]);
+    const ok = await verifyPassword(password, row ? row.password_hash : await dummyHash);
+    return row && ok ? { id: row.id, username: row.username, role: row.role } : null;
+  }
+
+  async function startSession(res, user) {
+    const now = Date.now();
+    await storage.run(sql.deleteExpiredSessions, [new Date(now).toISOString()]);
+    const token = randomToken();
+    await storage.run(sql.insertSession, {
+      id: sha256(token),
+      user_id: user.id,
+      csrf_token: randomToken(),
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + sessionTtlMs).toISOString()
+    });
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions, maxAge: sessionTtlMs });
+  }
+
+  async function endSession(req, res) {
+    if (req.auth && req.auth.sessionId) await storage.run(sql.deleteSession, [req.auth.sessionId]);
+    res.clearCookie(SESSION_COOKIE, cookieOptions);
+  }
+
+  // allowedScopes are the caller's own (req.auth.scopes); a token never gets more than they have
+  async function createApiToken(user, { name, scopes, allowedScopes = ROLE_SCOPES[user.role] }) {
+    const label = String(name || '').trim().slice(0, 100);
+    if (!label) throw authError('Token name is required');
+    const requested = Array.isArray(scopes) ? scopes : [scopes].filter(Boolean);
+    if (requested.length === 0) throw authError('Select at least one scope');
+    for (const scope of requested) {
+      if (!TOKEN_SCOPES.includes(scope) || !ROLE_SCOPES[user.role].includes(scope) || !allowedScopes.includes(scope)) {
+        throw authError(`Scope "${scope}" is not available to this account`);
+      }
+    }
+    const token = `th_${randomToken()}`;
+    await storage.run(sql.insertToken, {
+      user_id: user.id,
+      name: label,
+      token_hash: sha256(token),
+      scopes: requested.join(' '),
+      created_at: new Date().toISOString()
+    });
+    return token;
+  }
+
+  // Callers with users:manage (scopes, default: the role's) see and revoke every token, others their own
+  function listApiTokens(user, scopes = ROLE_SCOPES[user.role]) {
+    const all = scopes.includes('users:manage');
+    return storage.all(sql.listTokens, { user_id: all ? null : user.id });
+  }
+
+  async function revokeApiToken(user, id, scopes = ROLE_SCOPES[user.role]) {
+    const all = scopes.includes('users:manage');
+    return (await storage.run(sql.revokeToken, { id, user_id: all ? null : user.id, revoked_at: new Date().toISOString() })).changes > 0;
+  }
+
+  // Resolve the caller from a bearer token or session cookie into req.auth
+  async function loadAuth(req, res, next) {
+    req.auth = null;
+    const header = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+    try {
+      if (bearer) {
+        const row = await storage.get(sql.tokenByHash, [sha256(bearer[1])]);
+        if (row) {
+          await storage.run(sql.touchToken, [new Date().toISOString(), row.id]);
+          const roleScopes = ROLE_SCOPES[row.role] || [];
+          req.auth = {
+            via: 'token',
+            tokenId: row.id,
+            user: { id: row.user_id, username: row.username, role: row.role },
+            scopes: row.scopes.split(' ').filter((s) => roleScopes.includes(s))
+          };
+        }
+      } else if (req.cookies && req.cookies[SESSION_COOKIE]) {
+        const row = await storage.get(sql.sessionById, [sha256(req.cookies[SESSION_COOKIE])]);
+        if (row && row.expires_at > new Date().toISOString()) {
+          req.auth = {
+            via: 'session',
+            sessionId: row.id,
+            csrfToken: row.csrf_token,
+            user: { id: row.user_id, username: row.username, role: row.role },
+            scopes: ROLE_SCOPES[row.role] || []
+          };
+        }
+      }
+    } catch (e) {
+      return next(e);
+    }
+    next();
+  }
+
+  // Guard a route by scope. HTML routes send anonymous visitors to the login page.
+  // Session requests that change state must carry the session's CSRF token.
+  function requireAuth(scope, { html = false } = {}) {
+    return (req, res, next) => {
+      if (!req.auth) {
+        if (html) return res.redirect(302, `/login?next=${encodeURIComponent(req.originalUrl)}`);
+        return res.status(401).json({ ok: false, error: 'unauthorized' });
+      }
+      if (!req.auth.scopes.includes(scope)) {
+        if (html) return res.status(403).send('Forbidden');
+        return res.status(403).json({ ok: false, error: 'forbidden' });
+      }
+      const safeMethod = req.method === 'GET' || req.method === 'HEAD';
+      if (!safeMethod && req.auth.via === 'session') {
+        const sent = (req.body && req.body._csrf) || req.get('x-csrf-token');
+        if (!safeEqual(sent, req.auth.csrfToken)) {
+          if (html) return res.status(403).send('Invalid CSRF token');
+          return res.status(403).json({ ok: false, error: 'invalid csrf token' });
+        }
+      }
+      next();
+    };
+  }
+
+  // Double-submit token for the login form, which has no session yet
+  function issueLoginCsrf(res) {
+    const token = randomToken();
+    res.cookie(LOGIN_CSRF_COOKIE, token, { ...cookieOptions, maxAge: 30 * 60 * 1000 });
+    return token;
+  }
+
+  function checkLoginCsrf(req) {
+    return safeEqual(req.cookies && req.cookies[LOGIN_CSRF_COOKIE], req.body && req.body._csrf);
+  }
+
+  return {
+    userCount,
+    createUser,
+    deleteUser,
+    listUsers: () => storage.all(sql.listUsers),
+    authenticate,
+    startSession,
+    endSession,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    loadAuth,
+    requireAuth,
+    issueLoginCsrf,
+    checkLoginCsrf
+  };
+}
+
+module.exports = { ROLE_SCOPES, TOKEN_SCOPES, hashPassword, verifyPassword, createAuth };
@@ -0,0 +1,119 @@
+// Campaign attribution of clicks (UTM and custom parameters), UTM tags on outgoing redirects and
+// the per-campaign report.
+
+const { TRAFFIC_SQL } = require('./traffic');
+const { suppressComplement, suppressBreakdown } = require('./stats');
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const MAX_LENGTH = 200;
+
+function paramValue(params, name) {
+  const value = (params.get(name) || '').trim().slice(0, MAX_LENGTH);
+  return value || null;
+}
+
+// Attribution columns for a click. Each UTM parameter is taken from the tracking URL, else from the
+// destination. The campaign is utm_campaign, else the first of campaignParams present, else the
+// managed link's campaign.
+function attributeClick({ trackingParams, destUrl, linkCampaign = null, campaignParams = [] }) {
+  const sources = [trackingParams];
+  try {
+    sources.push(new URL(destUrl).searchParams);
+  } catch (_) {
+    // image mode or an unparseable destination: tracking URL only
+  }
+  const pick = (name) => {
+    for (const params of sources) {
+      const value = paramValue(params, name);
+      if (value) return value;
+    }
+    return null;
+  };
+
+  const fields = Object.fromEntries(UTM_PARAMS.map((name) => [name, pick(name)]));
+  const custom = campaignParams.map(pick).find(Boolean) || null;
+  fields.campaign = fields.utm_campaign || custom || linkCampaign || null;
+  return fields;
+}
+
+// Parse "utm_source=tracker&utm_medium=redirect&utm_campaign={campaign}" into [name, value] pairs.
+// Only UTM parameters are allowed; "" or "off" adds nothing.
+function parseRedirectUtm(spec) {
+  const text = String(spec || '').trim();
+  if (!text || text === 'off') return [];
+  return [...new URLSearchParams(text)].map(([name, value]) => {
+    if (!UTM_PARAMS.includes(name)) {
+      throw new Error(`Invalid REDIRECT_UTM parameter "${name}" (expected one of ${UTM_PARAMS.join(', ')})`);
+    }
+    return [name, value];
+  });
+}
+
+// Add the configured tags to a redirect target, leaving parameters it already has alone.
+// "{campaign}" stands for the click's campaign; a tag that comes out empty is skipped.
+function tagRedirect(url, tags, { campaign = null } = {}) {
+  if (!tags.length) return url;
+  let target;
+  try {
+    target = new URL(url);
+  } catch (_) {
+    return url;
+  }
+  for (const [name, template] of tags) {
+    if (target.searchParams.has(name)) continue;
+    const value = template.replace(/\{campaign\}/g, campaign || '');
+    if (value) target.searchParams.set(name, value);
+  }
+  return target.toString();
+}
+
+// Clicks, unique visitors, countries and sources per campaign. Counts below k are suppressed as in
+// /api/stats, including the complementary campaign that would reveal a hidden one from the total.
+// Unique visitors are distinct daily visitor hashes, so a visitor returning on another day counts
+// again; DNT / GPC clicks have no hash and are not counted.
+function createCampaignReport(storage) {
+  const range = `created_at >= @from AND created_at < @to AND ${TRAFFIC_SQL}`;
+  const sql = {
+    totals: `SELECT campaign, COUNT(*) AS clicks, COUNT(DISTINCT visitor_hash) AS visitors
+       FROM clicks WHERE ${range} GROUP BY campaign`,
+    countries: `SELECT campaign, approx_country AS key, COUNT(*) AS clicks
+       FROM clicks WHERE ${range} GROUP BY campaign, approx_country`,
+    sources: `SELECT campaign, utm_source, utm_medium, COUNT(*) AS clicks
+       FROM clicks WHERE ${range} GROUP BY campaign, utm_source, utm_medium`
+  };
+
+  function breakdowns(rows, keyOf) {
+    const byCampaign = new Map();
+    for (const row of rows) {
+      if (!byCampaign.has(row.campaign)) byCampaign.set(row.campaign, new Map());
+      const map = byCampaign.get(row.campaign);
+      const key = keyOf(row);
+      map.set(key, (map.get(key) || 0) + row.clicks);
+    }
+    return byCampaign;
+  }
+
+  return async function computeCampaigns({ from, to, traffic = 'human', k = 5 }) {
+    const params = { from, to, traffic };
+    const totals = await storage.all(sql.totals, params);
+    const countries = breakdowns(await storage.all(sql.countries, params), (row) => row.key || '(unknown)');
+    const sources = breakdowns(await storage.all(sql.sources, params), (row) => `${row.utm_source || '(none)'} / ${row.utm_medium || '(none)'}`);
+
+    const hidden = (row) => ({ campaign: row.campaign, clicks: null, unique_visitors: null, suppressed: true });
+    const campaigns = suppressComplement(totals
+      .sort((a, b) => b.clicks - a.clicks || String(a.campaign ?? '').localeCompare(String(b.campaign ?? '')))
+      .map((row) => {
+        if (row.clicks < k) return hidden(row);
+        return {
+          campaign: row.campaign,
+          clicks: row.clicks,
+          unique_visitors: row.visitors >= k ? row.visitors : null,
+          countries: suppressBreakdown(countries.get(row.campaign), k),
+          sources: suppressBreakdown(sources.get(row.campaign), k)
+        };
+      }), hidden);
+    return { from, to, traffic, k, campaigns };
+  };
+}
+
+module.exports = { UTM_PARAMS, attributeClick, parseRedirectUtm, tagRedirect, createCampaignReport };
@@ -0,0 +1,69 @@
+// Click insert throughput: one insert per click (how /track used to write) against the ingest queue.
+//   node src/cli/bench-ingest.js [rows] [concurrency]
+// Each run writes to a fresh SQLite file in the system temp directory, removed afterwards.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { openDatabase, createSqliteStorage } = require('../storage');
+const { clickRecord, createClickStore } = require('../clicks');
+const { createIngestQueue } = require('../ingest');
+
+// One distinct click per row; the remaining columns come from clickRecord()
+function benchRecord(i) {
+  return clickRecord({
+    id: crypto.randomBytes(16).toString('hex'),
+    created_at: new Date(Date.now() + i).toISOString(),
+    ip: `203.0.113.${i % 250}`,
+    ip_chain: `203.0.113.${i % 250}`,
+    user_agent: 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+    accept_language: 'en-US,en;q=0.8',
+    referrer: 'https://news.example/',
+    approx_country: 'DE',
+    approx_region: 'BE',
+    approx_city: 'Berlin',
+    approx_lat: 52.5,
+    approx_lon: 13.4,
+    approx_accuracy_km: 50,
+    visitor_hash: crypto.randomBytes(8).toString('hex')
+  });
+}
+
+// Feed rows from `concurrency` simulated requests, each waiting for its own write call
+async function run(name, rows, concurrency, setup, finish = async () => {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-bench-'));
+  const storage = createSqliteStorage(openDatabase(path.join(dir, 'clicks.db')));
+  try {
+    const clicks = createClickStore(storage);
+    const write = setup(clicks);
+    let next = 0;
+    const started = process.hrtime.bigint();
+    await Promise.all(Array.from({ length: concurrency }, async () => {
+      while (next < rows) await write(benchRecord(next++));
+    }));
+    await finish();
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const { n } = await storage.get('SELECT COUNT(*) AS n FROM clicks');
+    console.log(`${name.padEnd(10)} ${String(n).padStart(8)} rows  ${seconds.toFixed(2).padStart(7)} s  ${Math.round(n / seconds).toString().padStart(8)} rows/s`);
+  } finally {
+    await storage.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function main(argv) {
+  const rows = Number(argv[0] || 20000);
+  const concurrency = Number(argv[1] || 50);
+  console.log(`${rows} clicks from ${concurrency} concurrent writers`);
+  await run('direct', rows, concurrency, (clicks) => (record) => clicks.insert(record));
+  let queue;
+  await run('queued', rows, concurrency, (clicks) => {
+    queue = createIngestQueue({ clicks });
+    return (record) => queue.push(record);
+  }, () => queue.close());
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
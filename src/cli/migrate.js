@@ -0,0 +1,71 @@
+// Schema migration command. Uses PostgreSQL when STORAGE=postgres (DATABASE_URL), else data/clicks.db.
+//   node src/cli/migrate.js status          list applied and pending migrations
+//   node src/cli/migrate.js up [--no-backup] back up data/clicks.db, then apply pending migrations
+// PostgreSQL is not backed up here; take a pg_dump first.
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { migrationStatus, runMigrations } = require('../migrate');
+const { openPostgres, postgresMigrationStatus, runPostgresMigrations } = require('../storage');
+
+const dataDir = path.join(__dirname, '..', '..', 'data');
+const dbPath = path.join(dataDir, 'clicks.db');
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+function printStatus({ applied, pending, problems }) {
+  for (const row of applied) console.log(`applied  ${String(row.version).padStart(3, '0')}_${row.name}  ${row.applied_at}`);
+  for (const m of pending) console.log(`pending  ${m.file}`);
+  for (const p of problems) console.error(`error    ${p}`);
+  return problems.length ? 1 : 0;
+}
+
+async function postgres(command, url) {
+  const storage = await openPostgres(url, { max: 1, migrate: false });
+  try {
+    if (command === 'status') return printStatus(await postgresMigrationStatus(storage));
+    const { applied } = await runPostgresMigrations(storage, { log: (msg) => console.log(msg) });
+    if (applied.length === 0) console.log('Nothing to apply');
+    return 0;
+  } finally {
+    await storage.close();
+  }
+}
+
+function sqlite(command, flags) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const db = new Database(dbPath);
+  try {
+    if (command === 'status') return printStatus(migrationStatus(db));
+    const backupDir = flags.includes('--no-backup') ? null : path.join(dataDir, 'backups');
+    const { applied } = runMigrations(db, { backupDir, log: (msg) => console.log(msg) });
+    if (applied.length === 0) console.log('Nothing to apply');
+    return 0;
+  } finally {
+    db.close();
+  }
+}
+
+async function main(argv) {
+  const [command = 'status', ...flags] = argv;
+  if (command !== 'status' && command !== 'up') {
+    console.error('Usage: migrate <status|up> [--no-backup]');
+    return 2;
+  }
+  try {
+    if ((process.env.STORAGE || 'sqlite').toLowerCase() === 'postgres') {
+      if (!process.env.DATABASE_URL) throw new Error('Set DATABASE_URL when STORAGE=postgres');
+      return await postgres(command, process.env.DATABASE_URL);
+    }
+    return sqlite(command, flags);
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
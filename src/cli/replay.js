@@ -0,0 +1,40 @@
+// Write the clicks in the dead-letter file (INGEST_DEAD_LETTER_FILE) to the configured storage.
+//   node src/cli/replay.js [file]
+// Safe to run while the server is up; rows that fail again stay in the file.
+const path = require('path');
+const { loadConfig } = require('../config');
+const { openStorage } = require('../storage');
+const { createClickStore } = require('../clicks');
+const { createErasure } = require('../erasure');
+const { replayDeadLetters } = require('../ingest');
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+async function main(argv) {
+  try {
+    const config = loadConfig(process.env);
+    const file = argv[0] ? path.resolve(argv[0]) : config.ingest.deadLetterFile;
+    const storage = await openStorage(config, { dataDir: path.join(__dirname, '..', '..', 'data'), log: (msg) => console.log(msg) });
+    try {
+      const { replayed, duplicates, erased, failed } = await replayDeadLetters({
+        clicks: createClickStore(storage),
+        erasure: createErasure(storage),
+        storage,
+        file
+      });
+      console.log(`${replayed} replayed, ${duplicates} already stored, ${erased} erased meanwhile, ${failed} failed again`);
+      return failed ? 1 : 0;
+    } finally {
+      await storage.close();
+    }
+  } catch (e) {
+    console.error(e.message);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,174 @@
+const { TRAFFIC_SQL } = require('./traffic');
+const { SORTS } = require('./clicksearch');
+
+// Filters for search(); every one is skipped when its parameter is null
+const SEARCH_SQL = `(CAST(@from AS TEXT) IS NULL OR created_at >= @from)
+  AND (CAST(@to AS TEXT) IS NULL OR created_at < @to)
+  AND (CAST(@country AS TEXT) IS NULL OR approx_country = @country)
+  AND (CAST(@dest AS TEXT) IS NULL OR LOWER(dest_url) LIKE LOWER(@dest) ESCAPE '\\')
+  AND (CAST(@referrer AS TEXT) IS NULL OR LOWER(referrer) LIKE LOWER(@referrer) ESCAPE '\\')
+  AND (CAST(@campaign AS TEXT) IS NULL OR campaign = @campaign)
+  AND (CAST(@consent AS INTEGER) IS NULL OR CASE WHEN consent_version IS NULL THEN 0 ELSE 1 END = @consent)
+  AND (CAST(@q AS TEXT) IS NULL OR LOWER(user_agent) LIKE LOWER(@q) ESCAPE '\\' OR LOWER(referrer) LIKE LOWER(@q) ESCAPE '\\')
+  AND ${TRAFFIC_SQL}`;
+
+// Columns added after the first release. Rows queued or dead-lettered by an older version lack
+// them, and are inserted with NULLs.
+const LATER_COLUMNS = Object.fromEntries([
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'campaign',
+  'approx_asn', 'approx_as_org', 'geo_provider', 'geo_db_version'
+].map((name) => [name, null]));
+
+// A complete row for insert(), as /track would build it, for tests and benchmarks. Every column
+// is listed, so fixtures cannot fall behind the schema.
+function clickRecord(overrides) {
+  return {
+    created_at: '2024-05-01T12:00:00.000Z',
+    ip: '203.0.113.1',
+    ip_chain: '203.0.113.1',
+    user_agent: 'Mozilla/5.0 Firefox/120.0',
+    accept_language: 'en',
+    referrer: '',
+    dest_url: 'https://dest.example/',
+    approx_country: null,
+    approx_region: null,
+    approx_city: null,
+    approx_lat: null,
+    approx_lon: null,
+    approx_accuracy_km: null,
+    minimized: 0,
+    privacy_signal: null,
+    ip_truncated: 0,
+    visitor_hash: null,
+    link_id: null,
+    redirect_reason: null,
+    ip_source: 'socket',
+    forwarded_ignored: 0,
+    traffic_class: 'human',
+    traffic_reason: null,
+    utm_source: null,
+    utm_medium: null,
+    utm_campaign: null,
+    utm_term: null,
+    utm_content: null,
+    campaign: null,
+    approx_asn: null,
+    approx_as_org: null,
+    geo_provider: null,
+    geo_db_version: null,
+    ...overrides
+  };
+}
+
+// Reads and writes on the clicks table used by the routes
+function createClickStore(storage) {
+  const sql = {
+    insert: `INSERT INTO clicks (
+        id, created_at, ip, ip_chain, user_agent, accept_language, referrer, dest_url,
+        approx_country, approx_region, approx_city, approx_lat, approx_lon, approx_accuracy_km,
+        minimized, privacy_signal, ip_truncated, visitor_hash, link_id, redirect_reason,
+        ip_source, forwarded_ignored, traffic_class, traffic_reason,
+        utm_source, utm_medium, utm_campaign, utm_term, utm_content, campaign,
+        approx_asn, approx_as_org, geo_provider, geo_db_version
+      ) VALUES (
+        @id, @created_at, @ip, @ip_chain, @user_agent, @accept_language, @referrer, @dest_url,
+        @approx_country, @approx_region, @approx_city, @approx_lat, @approx_lon, @approx_accuracy_km,
+        @minimized, @privacy_signal, @ip_truncated, @visitor_hash, @link_id, @redirect_reason,
+        @ip_source, @forwarded_ignored, @traffic_class, @traffic_reason,
+        @utm_source, @utm_medium, @utm_campaign, @utm_term, @utm_content, @campaign,
+        @approx_asn, @approx_as_org, @geo_provider, @geo_db_version
+      )`,
+    // One-shot: a click that already has an update is left alone
+    updateGeo: `UPDATE clicks SET
+        precise_lat = @precise_lat,
+        precise_lon = @precise_lon,
+        precise_accuracy_m = @precise_accuracy_m,
+        precise_timestamp = @precise_timestamp,
+        consented = @consented,
+        device_platform = @device_platform,
+        device_vendor = @device_vendor,
+        device_language = @device_language,
+        device_languages = @device_languages,
+        device_timezone = @device_timezone,
+        device_hardware_concurrency = @device_hardware_concurrency,
+        device_memory_gb = @device_memory_gb,
+        device_screen_w = @device_screen_w,
+        device_screen_h = @device_screen_h,
+        device_color_depth = @device_color_depth,
+        do_not_track = @do_not_track,
+        geo_submitted_at = @geo_submitted_at
+      WHERE id = @id AND geo_submitted_at IS NULL`,
+    recordConsent: `UPDATE clicks SET consent_version = @consent_version, consent_at = @consent_at
+       WHERE id = @id AND consent_version IS NULL AND minimized = 0`,
+    getConsent: `SELECT consent_version, minimized, geo_submitted_at FROM clicks WHERE id = ?`,
+    insertGeoRejection: `INSERT INTO geo_rejections (created_at, click_id, reason, detail) VALUES (@created_at, @click_id, @reason, @detail)`,
+    count: `SELECT COUNT(*) AS n FROM clicks WHERE ${SEARCH_SQL}`,
+    byId: `SELECT clicks.*, (SELECT slug FROM links WHERE links.id = clicks.link_id) AS link_slug
+       FROM clicks WHERE id = ?`,
+    geoRejections: `SELECT created_at, reason, detail FROM geo_rejections WHERE click_id = ? ORDER BY id`,
+    // Keyset paging on (created_at, id) so batches stay cheap deep into a range
+    exportRange: `SELECT clicks.*, (SELECT slug FROM links WHERE links.id = clicks.link_id) AS link_slug
+       FROM clicks
+       WHERE created_at >= @from AND created_at < @to AND (created_at, id) > (@after_created_at, @after_id) AND ${TRAFFIC_SQL}
+       ORDER BY created_at, id
+       LIMIT @limit`,
+    uniqueVisitors: `SELECT COUNT(DISTINCT visitor_hash) AS n FROM clicks WHERE created_at >= @since AND ${TRAFFIC_SQL}`,
+    last: `SELECT id, created_at, ip, ip_chain, ip_truncated,
+              approx_lat, approx_lon, approx_accuracy_km,
+              precise_lat, precise_lon, precise_accuracy_m
+       FROM clicks ORDER BY created_at DESC LIMIT 1`,
+    page: `SELECT id, created_at, ip, ip_chain, ip_truncated,
+              approx_lat, approx_lon, approx_accuracy_km,
+              precise_lat, precise_lon, precise_accuracy_m,
+              consented, consent_version, consent_at, minimized, privacy_signal, link_id, redirect_reason,
+              ip_source, forwarded_ignored, traffic_class, traffic_reason,
+              utm_source, utm_medium, utm_campaign, utm_term, utm_content, campaign
+       FROM clicks
+       WHERE ${TRAFFIC_SQL}
+       ORDER BY created_at DESC
+       LIMIT @limit OFFSET @offset`
+  };
+
+  // One query per sort order; the column comes from the SORTS whitelist. NULLs are placed
+  // explicitly because SQLite and PostgreSQL default to opposite ends.
+  function searchSql(sort, dir) {
+    const order = dir === 'asc' ? 'ASC NULLS FIRST' : 'DESC NULLS LAST';
+    return `SELECT id, created_at, ip, ip_chain, ip_truncated, user_agent, referrer, dest_url,
+              approx_country, approx_region, approx_city, consented, consent_version, minimized, privacy_signal,
+              link_id, (SELECT slug FROM links WHERE links.id = clicks.link_id) AS link_slug, redirect_reason,
+              ip_source, forwarded_ignored, traffic_class, traffic_reason, campaign, geo_provider, geo_db_version
+       FROM clicks WHERE ${SEARCH_SQL}
+       ORDER BY ${SORTS[sort]} ${order}, created_at DESC
+       LIMIT @limit OFFSET @offset`;
+  }
+
+  return {
+    insert: (record) => storage.run(sql.insert, { ...LATER_COLUMNS, ...record }),
+    // All or nothing: one failing row rolls back the batch
+    insertMany: (records) => storage.transaction(async (tx) => {
+      for (const record of records) await tx.run(sql.insert, { ...LATER_COLUMNS, ...record });
+    }),
+    // Resolves to false when the click already had its update
+    updateGeo: async (values) => (await storage.run(sql.updateGeo, values)).changes > 0,
+    recordConsent: (values) => storage.run(sql.recordConsent, values),
+    getConsent: async (id) => (await storage.get(sql.getConsent, [id])) || null,
+    recordGeoRejection: (values) => storage.run(sql.insertGeoRejection, values),
+    // Admin listing; takes the output of clickSearchArgs() and resolves to one page plus the total
+    async search({ sort, dir, limit, offset, ...filters }) {
+      const rows = await storage.all(searchSql(sort, dir), { ...filters, limit, offset });
+      const { n } = await storage.get(sql.count, filters);
+      return { rows, total: n };
+    },
+    get: async (id) => (await storage.get(sql.byId, [id])) || null,
+    geoRejections: (id) => storage.all(sql.geoRejections, [id]),
+    // Export batch of up to `limit` rows after the `after` row
+    exportBatch: ({ from, to, traffic, after, limit }) => storage.all(sql.exportRange, {
+      from, to, traffic, after_created_at: after.created_at, after_id: after.id, limit
+    }),
+    uniqueVisitors: async ({ since, traffic }) => (await storage.get(sql.uniqueVisitors, { since, traffic })).n,
+    last: async () => (await storage.get(sql.last)) || null,
+    page: ({ traffic, limit, offset }) => storage.all(sql.page, { traffic, limit, offset })
+  };
+}
+
+module.exports = { clickRecord, createClickStore };
@@ -0,0 +1,108 @@
+// Filters, sorting and paging for the /admin click listing, parsed from and written back to the query string
+
+const { TRAFFIC_FILTERS } = require('./traffic');
+
+// Sort keys offered in the UI and the column each one orders by
+const SORTS = {
+  created_at: 'created_at',
+  country: 'approx_country',
+  ip: 'ip',
+  dest: 'dest_url',
+  referrer: 'referrer',
+  traffic: 'traffic_class'
+};
+const PAGE_SIZES = [25, 50, 100, 200];
+
+const DEFAULTS = {
+  from: '',
+  to: '',
+  country: '',
+  dest: '',
+  referrer: '',
+  campaign: '',
+  consent: '',
+  traffic: 'human',
+  q: '',
+  sort: 'created_at',
+  dir: 'desc',
+  page: 1,
+  per_page: 50
+};
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function text(value, maxLength = 200) {
+  const v = Array.isArray(value) ? value[0] : value;
+  return typeof v === 'string' ? v.trim().slice(0, maxLength) : '';
+}
+
+function validDate(value) {
+  return DATE_RE.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime()) ? value : '';
+}
+
+// Out-of-range values fall back to the defaults rather than erroring, so old bookmarks keep working
+function parseClickSearch(query = {}) {
+  const country = text(query.country, 2).toUpperCase();
+  const consent = text(query.consent);
+  const traffic = text(query.traffic);
+  const sort = text(query.sort);
+  const dir = text(query.dir);
+  const page = Number(text(query.page));
+  const perPage = Number(text(query.per_page));
+  return {
+    from: validDate(text(query.from)),
+    to: validDate(text(query.to)),
+    country: /^[A-Z]{2}$/.test(country) ? country : '',
+    dest: text(query.dest),
+    referrer: text(query.referrer),
+    campaign: text(query.campaign),
+    consent: consent === 'yes' || consent === 'no' ? consent : '',
+    traffic: TRAFFIC_FILTERS.includes(traffic) ? traffic : DEFAULTS.traffic,
+    q: text(query.q),
+    sort: Object.prototype.hasOwnProperty.call(SORTS, sort) ? sort : DEFAULTS.sort,
+    dir: dir === 'asc' || dir === 'desc' ? dir : DEFAULTS.dir,
+    page: Number.isInteger(page) && page >= 1 ? page : DEFAULTS.page,
+    per_page: PAGE_SIZES.includes(perPage) ? perPage : DEFAULTS.per_page
+  };
+}
+
+// Query string for a search, leaving out defaults so links stay short
+function clickSearchQuery(search, overrides = {}) {
+  const merged = { ...search, ...overrides };
+  const params = new URLSearchParams();
+  for (const key of Object.keys(DEFAULTS)) {
+    if (merged[key] !== DEFAULTS[key] && merged[key] !== '') params.set(key, String(merged[key]));
+  }
+  return params.toString();
+}
+
+function likePattern(value) {
+  return value ? `%${value.replace(/[\\%_]/g, (c) => `\\${c}`)}%` : null;
+}
+
+// Arguments for the click store's search(): inclusive date range as ISO bounds, substrings as LIKE patterns
+function clickSearchArgs(search) {
+  let to = null;
+  if (search.to) {
+    const end = new Date(`${search.to}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    to = end.toISOString();
+  }
+  return {
+    from: search.from ? new Date(`${search.from}T00:00:00Z`).toISOString() : null,
+    to,
+    country: search.country || null,
+    dest: likePattern(search.dest),
+    referrer: likePattern(search.referrer),
+    campaign: search.campaign || null,
+    consent: search.consent === 'yes' ? 1 : search.consent === 'no' ? 0 : null,
+    traffic: search.traffic,
+    q: likePattern(search.q),
+    sort: search.sort,
+    dir: search.dir,
+    limit: search.per_page,
+    offset: (search.page - 1) * search.per_page
+  };
+}
+
+module.exports = { SORTS, PAGE_SIZES, parseClickSearch, clickSearchQuery, clickSearchArgs };
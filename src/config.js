@@ -0,0 +1,158 @@
+const path = require('path');
+const crypto = require('crypto');
+const { parseDuration, parseRetentionRules } = require('./retention');
+const { parseTrustedProxies, parseProxyHeader } = require('./ip');
+const { parseAllowlist } = require('./redirects');
+const { parseRateLimit } = require('./ratelimit');
+const { parseRedirectUtm } = require('./campaigns');
+const { parseLogLevel } = require('./log');
+const { GEO_PROVIDERS, parseGeoGranularity } = require('./geo');
+
+const DEFAULT_ADMIN_KEY = 'change-this-key';
+const MAX_COOKIE_AGE_MS = 400 * 24 * 60 * 60 * 1000;
+
+function positiveInteger(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const n = Number(env[name]);
+  if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid ${name} "${env[name]}" (expected a positive whole number)`);
+  return n;
+}
+
+// Build the settings createApp() takes from environment variables (see env.example).
+// Invalid values throw, so a misconfigured server refuses to start.
+function loadConfig(env = process.env) {
+  const port = Number(env.PORT || 3000);
+  const baseUrl = env.BASE_URL || `http://localhost:${port}`;
+  const redirectDefault = env.REDIRECT_DEFAULT || 'https://example.com';
+
+  // Refuse the shipped placeholder outright; an unset key only matters while no accounts exist
+  if (env.ADMIN_KEY === DEFAULT_ADMIN_KEY) {
+    throw new Error(`Set ADMIN_KEY to a password of at least 10 characters (not "${DEFAULT_ADMIN_KEY}") before starting`);
+  }
+
+  // Consent interstitial copy for image mode. The version is derived from the text
+  // unless pinned explicitly, so any wording change is recorded as a new version.
+  const consent = {
+    operator: env.CONSENT_OPERATOR || new URL(baseUrl).host,
+    purpose: env.CONSENT_PURPOSE || 'Measuring where this link is opened from and on what kind of device.',
+    retention: env.CONSENT_RETENTION || 'Location and device details are kept for up to 30 days and then deleted.'
+  };
+  consent.version = env.CONSENT_VERSION || crypto
+    .createHash('sha256')
+    .update([consent.operator, consent.purpose, consent.retention].join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+  // IP storage: "full" keeps addresses as seen, "pseudonymized" stores /24 (IPv4) or /48 (IPv6) prefixes only
+  const ipMode = (env.IP_MODE || 'full').toLowerCase();
+  if (ipMode !== 'full' && ipMode !== 'pseudonymized') {
+    throw new Error(`Invalid IP_MODE "${env.IP_MODE}" (expected full or pseudonymized)`);
+  }
+
+  const storage = (env.STORAGE || 'sqlite').toLowerCase();
+  if (storage !== 'sqlite' && storage !== 'postgres') {
+    throw new Error(`Invalid STORAGE "${env.STORAGE}" (expected sqlite or postgres)`);
+  }
+  if (storage === 'postgres' && !env.DATABASE_URL) {
+    throw new Error('Set DATABASE_URL when STORAGE=postgres');
+  }
+  // PostgreSQL is for running several instances, and a token or URL signed by one must verify on the others
+  const missingKeys = ['GEO_TOKEN_KEY', 'TRACK_SIGNING_KEY'].filter((name) => !env[name]);
+  if (storage === 'postgres' && missingKeys.length) {
+    throw new Error(`Set ${missingKeys.join(' and ')} when STORAGE=postgres, with the same value on every instance`);
+  }
+
+  const geoProvider = (env.GEO_PROVIDER || 'geoip-lite').toLowerCase();
+  if (!GEO_PROVIDERS.includes(geoProvider)) {
+    throw new Error(`Invalid GEO_PROVIDER "${env.GEO_PROVIDER}" (expected ${GEO_PROVIDERS.join(', ')})`);
+  }
+  const mmdb = { city: env.GEO_MMDB_CITY || null, country: env.GEO_MMDB_COUNTRY || null, asn: env.GEO_MMDB_ASN || null };
+  if (geoProvider === 'maxmind' && !mmdb.city && !mmdb.country) {
+    throw new Error('Set GEO_MMDB_CITY or GEO_MMDB_COUNTRY when GEO_PROVIDER=maxmind');
+  }
+
+  // "sqlite" is the name this had before PostgreSQL was supported
+  const rateLimitStore = env.RATE_LIMIT_STORE === 'sqlite' ? 'database' : env.RATE_LIMIT_STORE || 'memory';
+  if (rateLimitStore !== 'memory' && rateLimitStore !== 'database') {
+    throw new Error(`Invalid RATE_LIMIT_STORE "${env.RATE_LIMIT_STORE}" (expected memory or database)`);
+  }
+
+  const retentionRules = parseRetentionRules(
+    env.RETENTION_RULES ?? 'drop_precise=7d;drop_device=30d;truncate_ip=30d;delete=180d'
+  );
+  // The visitor's privacy reference lasts as long as their click is kept, capped at the 400 days browsers allow
+  const deleteRule = retentionRules.find((r) => r.action === 'delete');
+  const privacyCookieMs = Math.min(deleteRule ? deleteRule.afterMs : Infinity, MAX_COOKIE_AGE_MS);
+
+  return {
+    port,
+    baseUrl,
+    redirectDefault,
+    // Username and password for the initial admin account, only used while no accounts exist
+    adminUser: env.ADMIN_USER || 'admin',
+    adminKey: env.ADMIN_KEY || null,
+    sessionTtlMs: parseDuration(env.SESSION_TTL || '12h'),
+    // Follow free-form /track?u= destinations (open redirect); managed /l/:slug links replace them
+    legacyTrackUrls: env.LEGACY_TRACK_URLS === '1',
+    // Hosts /track may redirect to ("example.com, *.example.org", "*" for any); defaults to redirectDefault's host
+    redirectAllowlist: parseAllowlist(env.REDIRECT_ALLOWLIST || new URL(redirectDefault).hostname),
+    // Smallest count /api/stats reports; smaller buckets are merged into "other" or suppressed
+    statsMinCount: Math.max(1, Number(env.STATS_MIN_COUNT || 5) || 5),
+    // HMAC key for signed /track?u=&exp=&sig= URLs; signing is disabled when unset
+    trackSigningKey: env.TRACK_SIGNING_KEY || '',
+    // UTM tags added to outgoing redirects that lack them, e.g. "utm_source=tracker&utm_campaign={campaign}"
+    redirectUtm: parseRedirectUtm(env.REDIRECT_UTM || ''),
+    // Query parameters read as the campaign name when a click has no utm_campaign
+    campaignParams: (env.CAMPAIGN_PARAMS || '').split(',').map((s) => s.trim()).filter(Boolean),
+    consent,
+    // How long after an image-mode click /api/consent and /api/geo accept its one update
+    geoWindowMs: parseDuration(env.GEO_WINDOW || '5m'),
+    // HMAC key for the per-click token those endpoints require; a random key means tokens do not survive restarts
+    geoTokenKey: env.GEO_TOKEN_KEY || crypto.randomBytes(32).toString('hex'),
+    // Lifetime of the cookie /privacy finds an image-mode click by
+    privacyCookieMs,
+    ipMode,
+    // IP location: geoip-lite (bundled data), maxmind (.mmdb files, re-read when they change) or none.
+    // granularity is the most detail stored in approx_*: country, region or city (with coordinates).
+    geo: {
+      provider: geoProvider,
+      mmdb,
+      reloadIntervalMs: parseDuration(env.GEO_MMDB_RELOAD_INTERVAL || '1m'),
+      granularity: parseGeoGranularity(env.GEO_GRANULARITY)
+    },
+    // Proxies whose forwarding headers are believed: CIDRs or presets (loopback, docker, private, linklocal)
+    trustedProxies: parseTrustedProxies(env.TRUSTED_PROXIES ?? 'loopback'),
+    // The header those proxies write the client address to: x-forwarded-for, forwarded or x-real-ip
+    trustedProxyHeader: parseProxyHeader(env.TRUSTED_PROXY_HEADER),
+    // Where data lives: "sqlite" (data/clicks.db) or "postgres" (DATABASE_URL), for running several instances
+    storage,
+    databaseUrl: env.DATABASE_URL || null,
+    // Rate limits as "count/window" (e.g. 60/1m, "off" to disable), kept in memory or in the database
+    rateLimitStore,
+    rateLimits: {
+      trackIp: parseRateLimit(env.RATE_LIMIT_TRACK_IP ?? '60/1m'),
+      trackLink: parseRateLimit(env.RATE_LIMIT_TRACK_LINK ?? '1200/1m'),
+      geoIp: parseRateLimit(env.RATE_LIMIT_GEO_IP ?? '20/1m')
+    },
+    // Click writes are queued and inserted in batches of batchSize rows, at least every flushIntervalMs;
+    // /track waits once maxQueue rows are queued. Rows that cannot be written go to deadLetterFile.
+    ingest: {
+      batchSize: positiveInteger(env, 'INGEST_BATCH_SIZE', 200),
+      flushIntervalMs: parseDuration(env.INGEST_FLUSH_INTERVAL || '100ms'),
+      maxQueue: positiveInteger(env, 'INGEST_MAX_QUEUE', 10000),
+      deadLetterFile: env.INGEST_DEAD_LETTER_FILE || path.join(__dirname, '..', 'data', 'dead-letters.ndjson')
+    },
+    // Retention rules, e.g. "drop_precise=7d;truncate_ip=30d;delete=180d" ("off" disables purging)
+    retentionRules,
+    retentionIntervalMs: parseDuration(env.RETENTION_INTERVAL || '1h'),
+    // JSON log on stdout: minimum level, and one line per request unless ACCESS_LOG=0
+    logLevel: parseLogLevel(env.LOG_LEVEL),
+    accessLog: env.ACCESS_LOG !== '0',
+    // Client IPs in the log: as seen, truncated like stored ones under IP_MODE=pseudonymized, or left out with LOG_IPS=0
+    logIps: env.LOG_IPS === '0' ? 'off' : ipMode === 'pseudonymized' ? 'truncated' : 'full',
+    // Images served in image mode; a generated SVG is used when the directory is empty
+    imagesDir: env.IMAGES_DIR || path.join(__dirname, '..', 'public', 'images')
+  };
+}
+
+module.exports = { DEFAULT_ADMIN_KEY, loadConfig };
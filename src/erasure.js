@@ -0,0 +1,90 @@
+// Errors carry the HTTP status the routes should answer with
+function erasureError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+const CLICK_ID_RE = /^[A-Za-z0-9-]{1,64}$/;
+
+// Erasing clicks, with a tombstone per erasure, and the queue of requests operators handle by hand
+function createErasure(storage) {
+  const sql = {
+    deleteRejections: `DELETE FROM geo_rejections WHERE click_id = ?`,
+    deleteClick: `DELETE FROM clicks WHERE id = ?`,
+    tombstoneFor: `SELECT 1 AS erased FROM erasures WHERE click_id = ? LIMIT 1`,
+    tombstone: `INSERT INTO erasures (erased_at, click_id, found, source, request_id, erased_by)
+       VALUES (@erased_at, @click_id, @found, @source, @request_id, @erased_by)`,
+    insertRequest: `INSERT INTO erasure_requests (created_at, created_by, contact, click_id, note)
+       VALUES (@created_at, @created_by, @contact, @click_id, @note)
+       RETURNING id`,
+    requestById: `SELECT * FROM erasure_requests WHERE id = ?`,
+    listRequests: `SELECT r.*, CASE WHEN EXISTS (SELECT 1 FROM clicks c WHERE c.id = r.click_id) THEN 1 ELSE 0 END AS click_found
+       FROM erasure_requests r
+       WHERE CAST(@status AS TEXT) IS NULL OR r.status = @status
+       ORDER BY r.created_at DESC, r.id DESC`,
+    resolveRequest: `UPDATE erasure_requests SET status = @status, resolved_at = @resolved_at, resolved_by = @resolved_by
+       WHERE id = @id AND status = 'open'`
+  };
+
+  // Remove a click and everything keyed by its ID. A tombstone is written even when nothing matched,
+  // so the record shows the request was carried out. Resolves to whether a click was removed.
+  async function eraseWith(tx, clickId, { source, requestId = null, erasedBy = null }) {
+    await tx.run(sql.deleteRejections, [clickId]);
+    const found = (await tx.run(sql.deleteClick, [clickId])).changes > 0;
+    await tx.run(sql.tombstone, {
+      erased_at: new Date().toISOString(),
+      click_id: clickId,
+      found: found ? 1 : 0,
+      source,
+      request_id: requestId,
+      erased_by: erasedBy
+    });
+    return found;
+  }
+  const erase = (clickId, options) => storage.transaction((tx) => eraseWith(tx, clickId, options));
+
+  async function createRequest(user, { contact, click_id: clickId, note }) {
+    const cleanContact = String(contact || '').trim().slice(0, 200);
+    if (!cleanContact) throw erasureError('Contact is required');
+    const cleanId = String(clickId || '').trim();
+    if (!CLICK_ID_RE.test(cleanId)) throw erasureError('Click ID must be the reference the visitor quoted');
+    const { id } = await storage.get(sql.insertRequest, {
+      created_at: new Date().toISOString(),
+      created_by: user.username,
+      contact: cleanContact,
+      click_id: cleanId,
+      note: String(note || '').trim().slice(0, 2000) || null
+    });
+    return storage.get(sql.requestById, [id]);
+  }
+
+  // action is "erase" (remove the matching click) or "reject"; only open requests can be resolved.
+  // The request row is locked first on PostgreSQL so two operators cannot resolve it at once.
+  const resolveRequest = (user, id, action) => storage.transaction(async (tx) => {
+    const lock = tx.dialect === 'postgres' ? ' FOR UPDATE' : '';
+    const request = await tx.get(`${sql.requestById}${lock}`, [id]);
+    if (!request) throw erasureError('Request not found', 404);
+    if (request.status !== 'open') throw erasureError('Request is already resolved', 409);
+    if (action !== 'erase' && action !== 'reject') throw erasureError('Action must be erase or reject');
+    const found = action === 'erase'
+      ? await eraseWith(tx, request.click_id, { source: 'request', requestId: id, erasedBy: user.username })
+      : null;
+    await tx.run(sql.resolveRequest, {
+      id,
+      status: action === 'erase' ? 'erased' : 'rejected',
+      resolved_at: new Date().toISOString(),
+      resolved_by: user.username
+    });
+    return { ...(await tx.get(sql.requestById, [id])), found };
+  });
+
+  return {
+    erase,
+    // Whether a click ID has ever been erased, so a late copy of the click (a dead letter) is not written back
+    isErased: async (clickId) => Boolean(await storage.get(sql.tombstoneFor, [clickId])),
+    createRequest,
+    listRequests: ({ status = null } = {}) => storage.all(sql.listRequests, { status }),
+    resolveRequest
+  };
+}
+
+module.exports = { CLICK_ID_RE, createErasure };
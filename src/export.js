@@ -0,0 +1,146 @@
+const { DEVICE_COLUMNS } = require('./retention');
+const { displayIp } = require('./ip');
+
+// Columns of a full export, in file order
+const EXPORT_COLUMNS = [
+  'id', 'created_at', 'dest_url', 'link_id', 'link_slug', 'redirect_reason', 'referrer',
+  'campaign', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+  'ip', 'ip_chain', 'ip_source', 'forwarded_ignored', 'ip_truncated', 'visitor_hash',
+  'traffic_class', 'traffic_reason',
+  'approx_country', 'approx_region', 'approx_city', 'approx_lat', 'approx_lon', 'approx_accuracy_km',
+  'approx_asn', 'approx_as_org', 'geo_provider', 'geo_db_version',
+  'precise_lat', 'precise_lon', 'precise_accuracy_m', 'precise_timestamp', 'geo_submitted_at',
+  ...DEVICE_COLUMNS,
+  'do_not_track', 'consent_version', 'consent_at', 'consented', 'minimized', 'privacy_signal'
+];
+
+// Anything that identifies the visitor's address, including the daily visitor pseudonym
+const ADDRESS_COLUMNS = ['ip', 'ip_chain', 'visitor_hash'];
+const COORDINATE_COLUMNS = ['approx_lat', 'approx_lon', 'precise_lat', 'precise_lon'];
+
+function roundTo1(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+// Redaction profiles: the scope a caller needs, the columns written and how each row is rewritten
+const EXPORT_PROFILES = {
+  // No addresses or device fields, coordinates to about 10 km
+  analyst: {
+    scope: 'clicks:export',
+    columns: EXPORT_COLUMNS.filter((c) => !ADDRESS_COLUMNS.includes(c) && !DEVICE_COLUMNS.includes(c)),
+    redact: (row) => {
+      const out = { ...row };
+      for (const c of COORDINATE_COLUMNS) out[c] = roundTo1(row[c]);
+      return out;
+    }
+  },
+  // Everything stored; IP_MODE=pseudonymized still applies to rows stored before it was set
+  full: {
+    scope: 'clicks:export:full',
+    columns: EXPORT_COLUMNS,
+    redact: (row, { ipMode }) => ({ ...row, ...displayIp(row, ipMode) })
+  }
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  const v = FORMULA_RE.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    header: (columns) => `${columns.join(',')}\r\n`,
+    row: (columns, row) => `${columns.map((c) => csvCell(row[c])).join(',')}\r\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    header: () => '',
+    row: (columns, row) => `${JSON.stringify(Object.fromEntries(columns.map((c) => [c, row[c] ?? null])))}\n`
+  }
+};
+
+// Resolves once the socket has room again, or the client went away. If either is already the
+// case, say the client left while a batch was read, there is no event to wait for.
+function drained(res) {
+  if (res.destroyed || !res.writableNeedDrain) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Write the clicks in [from, to) to res and end it; resolves with the number of rows written.
+// Rows are read in keyset batches, so only one batch is held at a time, and the next batch waits
+// for the socket to drain.
+async function streamExport(res, { clicks, profile, format, from, to, traffic, ipMode, batchSize = 500 }) {
+  const { columns, redact } = EXPORT_PROFILES[profile];
+  const { header, row: formatRow } = EXPORT_FORMATS[format];
+  let after = { created_at: '', id: '' };
+  let count = 0;
+  let writable = res.write(header(columns));
+
+  for (;;) {
+    const rows = await clicks.exportBatch({ from, to, traffic, after, limit: batchSize });
+    if (res.destroyed) throw new Error('client disconnected');
+    for (const row of rows) {
+      writable = res.write(formatRow(columns, redact(row, { ipMode }))) && writable;
+    }
+    count += rows.length;
+    if (rows.length < batchSize) break;
+    const last = rows[rows.length - 1];
+    after = { created_at: last.created_at, id: last.id };
+    if (!writable) await drained(res);
+    if (res.destroyed) throw new Error('client disconnected');
+    writable = true;
+  }
+
+  res.end();
+  return count;
+}
+
+// Record of every export: who ran it, with which profile and range, and how it ended
+function createExportLog(storage) {
+  const sql = {
+    start: `INSERT INTO export_log (started_at, user_id, username, token_id, profile, format, range_from, range_to, traffic)
+       VALUES (@started_at, @user_id, @username, @token_id, @profile, @format, @range_from, @range_to, @traffic)
+       RETURNING id`,
+    finish: `UPDATE export_log SET finished_at = @finished_at, row_count = @row_count, error = @error WHERE id = @id`,
+    recent: `SELECT id, started_at, finished_at, username, token_id, profile, format, range_from, range_to, traffic, row_count, error
+       FROM export_log ORDER BY started_at DESC, id DESC LIMIT ?`
+  };
+
+  return {
+    // auth is req.auth; resolves to the log entry id
+    start: async (auth, { profile, format, from, to, traffic }) => (await storage.get(sql.start, {
+      started_at: new Date().toISOString(),
+      user_id: auth.user.id,
+      username: auth.user.username,
+      token_id: auth.tokenId || null,
+      profile,
+      format,
+      range_from: from,
+      range_to: to,
+      traffic
+    })).id,
+    finish: (id, { rowCount = null, error = null }) => storage.run(sql.finish, {
+      id,
+      finished_at: new Date().toISOString(),
+      row_count: rowCount,
+      error
+    }),
+    recent: (limit = 100) => storage.all(sql.recent, [limit])
+  };
+}
+
+module.exports = { EXPORT_COLUMNS, EXPORT_PROFILES, EXPORT_FORMATS, streamExport, createExportLog };
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const geoip = require('geoip-lite');
+const { Reader } = require('mmdb-lib');
+const { createLogger } = require('./log');
+
+const GEO_PROVIDERS = ['geoip-lite', 'maxmind', 'none'];
+const GEO_GRANULARITIES = ['country', 'region', 'city'];
+
+// What a provider's lookup() answers with; every field is null when unknown
+const UNKNOWN = {
+  country: null,
+  region: null,
+  city: null,
+  lat: null,
+  lon: null,
+  accuracy_km: null,
+  asn: null,
+  as_org: null
+};
+
+function parseGeoGranularity(value) {
+  const granularity = String(value || 'city').toLowerCase();
+  if (!GEO_GRANULARITIES.includes(granularity)) {
+    throw new Error(`Invalid GEO_GRANULARITY "${value}" (expected ${GEO_GRANULARITIES.join(', ')})`);
+  }
+  return granularity;
+}
+
+// Providers are { name, version(), lookup(ip), close() }. version() names the data behind the
+// answers and is stored with each click, so rows can be traced to the database that placed them.
+
+// The database bundled with the geoip-lite package; its version is the package version
+function createGeoipLiteProvider() {
+  const { version } = require('geoip-lite/package.json');
+  return {
+    name: 'geoip-lite',
+    version: () => version,
+    lookup(ip) {
+      const found = geoip.lookup(ip);
+      if (!found) return { ...UNKNOWN };
+      return {
+        ...UNKNOWN,
+        country: found.country || null,
+        region: Array.isArray(found.region) ? found.region.join(',') : found.region ? String(found.region) : null,
+        city: found.city || null,
+        lat: found.ll ? found.ll[0] : null,
+        lon: found.ll ? found.ll[1] : null,
+        accuracy_km: typeof found.area === 'number' ? found.area : null
+      };
+    },
+    close() {}
+  };
+}
+
+// MaxMind .mmdb files (GeoIP2 / GeoLite2 City, Country and ASN) read from disk. Location comes from
+// the City file, else the Country file; the ASN file adds the network's operator. Each file is
+// checked every watchIntervalMs and re-read when it changes; a file that fails to load keeps the
+// previous copy in use.
+function createMaxmindProvider({ files, watchIntervalMs = 60000, log = createLogger() }) {
+  const readers = {};
+  // mtime of the version of each file last read, whether or not it loaded
+  const seenMtimes = {};
+  const watched = [];
+
+  // "GeoLite2-City 2024-05-03": database type and build date
+  function describe(reader) {
+    return `${reader.metadata.databaseType} ${reader.metadata.buildEpoch.toISOString().slice(0, 10)}`;
+  }
+
+  function load(kind, file) {
+    const { mtimeMs } = fs.statSync(file);
+    const reader = new Reader(fs.readFileSync(file));
+    if (!reader.metadata.databaseType) throw new Error(`${file} has no database type`);
+    readers[kind] = reader;
+    seenMtimes[kind] = mtimeMs;
+  }
+
+  for (const [kind, file] of Object.entries(files)) {
+    if (!file) continue;
+    try {
+      load(kind, file);
+    } catch (e) {
+      throw new Error(`Could not load MaxMind ${kind} database ${file}: ${e.message}`);
+    }
+    // Compared with the last version read rather than the previous poll, so a file replaced before the
+    // first poll is still picked up, and a broken one is reported once rather than on every poll
+    const onChange = (curr) => {
+      // size 0: the file is missing, e.g. halfway through being replaced
+      if (curr.mtimeMs === seenMtimes[kind] || curr.size === 0) return;
+      try {
+        load(kind, file);
+        log.info('Reloaded MaxMind database', { file, version: describe(readers[kind]) });
+      } catch (e) {
+        seenMtimes[kind] = curr.mtimeMs;
+        log.error('Could not reload MaxMind database, keeping the loaded copy', { file, error: e.message });
+      }
+    };
+    // Polling also notices files replaced by rename, which is how updaters install them
+    fs.watchFile(file, { interval: watchIntervalMs, persistent: false }, onChange);
+    watched.push([file, onChange]);
+  }
+
+  const names = (record) => (record && record.names ? record.names.en || null : null);
+
+  return {
+    name: 'maxmind',
+    version: () => ['city', 'country', 'asn'].filter((kind) => readers[kind]).map((kind) => describe(readers[kind])).join(', '),
+    lookup(ip) {
+      const result = { ...UNKNOWN };
+      const places = readers.city || readers.country;
+      const place = places && places.get(ip);
+      if (place) {
+        const subdivision = place.subdivisions && place.subdivisions[0];
+        const location = place.location || {};
+        Object.assign(result, {
+          country: (place.country && place.country.iso_code) || null,
+          region: (subdivision && (subdivision.iso_code || names(subdivision))) || null,
+          city: names(place.city),
+          lat: typeof location.latitude === 'number' ? location.latitude : null,
+          lon: typeof location.longitude === 'number' ? location.longitude : null,
+          accuracy_km: typeof location.accuracy_radius === 'number' ? location.accuracy_radius : null
+        });
+      }
+      const network = readers.asn && readers.asn.get(ip);
+      if (network) {
+        result.asn = network.autonomous_system_number ?? null;
+        result.as_org = network.autonomous_system_organization || null;
+      }
+      return result;
+    },
+    close() {
+      for (const [file, onChange] of watched) fs.unwatchFile(file, onChange);
+    }
+  };
+}
+
+// No IP location at all; clicks are stored without approx_* values
+function createNoopProvider() {
+  return { name: 'none', version: () => null, lookup: () => ({ ...UNKNOWN }), close() {} };
+}
+
+// The provider named by config.geo (see loadConfig)
+function createGeoProvider({ provider, mmdb, reloadIntervalMs }, { log } = {}) {
+  if (provider === 'maxmind') return createMaxmindProvider({ files: mmdb, watchIntervalMs: reloadIntervalMs, log });
+  if (provider === 'none') return createNoopProvider();
+  return createGeoipLiteProvider();
+}
+
+// Approximate location for an IP address as the approx_* click columns, cut down to granularity
+// (country, region or city), plus the provider and database version that answered
+function createGeoLookup({ provider, granularity = 'city' }) {
+  return function lookupApprox(ip) {
+    let found = UNKNOWN;
+    try {
+      if (ip) found = provider.lookup(ip);
+    } catch (_) {
+      // unparseable address or a corrupt database entry: unknown
+    }
+    const city = granularity === 'city';
+    return {
+      approx_country: found.country,
+      approx_region: granularity === 'country' ? null : found.region,
+      approx_city: city ? found.city : null,
+      // Coordinates are those of the city, so they go with it
+      approx_lat: city ? found.lat : null,
+      approx_lon: city ? found.lon : null,
+      approx_accuracy_km: city ? found.accuracy_km : null,
+      approx_asn: found.asn,
+      approx_as_org: found.as_org,
+      geo_provider: provider.name,
+      geo_db_version: provider.version()
+    };
+  };
+}
+
+module.exports = {
+  GEO_PROVIDERS,
+  GEO_GRANULARITIES,
+  parseGeoGranularity,
+  createGeoipLiteProvider,
+  createMaxmindProvider,
+  createNoopProvider,
+  createGeoProvider,
+  createGeoLookup
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+// Accepted /api/geo fields. Every field may be omitted or null; anything not listed is rejected.
+const GEO_FIELDS = {
+  token: { type: 'string', maxLength: 128 },
+  lat: { type: 'number', min: -90, max: 90 },
+  lon: { type: 'number', min: -180, max: 180 },
+  accuracy: { type: 'number', min: 0, exclusiveMin: true, max: 1e7 },
+  timestamp: { type: 'integer', min: 0 },
+  consented: { type: 'boolean' },
+  platform: { type: 'string', maxLength: 64 },
+  vendor: { type: 'string', maxLength: 128 },
+  language: { type: 'string', maxLength: 35 },
+  languages: { type: 'array', maxItems: 8, items: { type: 'string', maxLength: 35 } },
+  timezone: { type: 'string', maxLength: 64 },
+  hardwareConcurrency: { type: 'integer', min: 1, max: 1024 },
+  deviceMemory: { type: 'number', min: 0, exclusiveMin: true, max: 1024 },
+  screenW: { type: 'integer', min: 1, max: 100000 },
+  screenH: { type: 'integer', min: 1, max: 100000 },
+  colorDepth: { type: 'integer', min: 1, max: 64 },
+  doNotTrack: { type: 'boolean' }
+};
+
+// Position timestamps come from the visitor's clock, so allow for some skew around the server's
+const TIMESTAMP_SKEW_MS = 24 * 60 * 60 * 1000;
+
+function checkValue(name, rule, value) {
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return `"${name}" must be a string`;
+      if (value.length > rule.maxLength) return `"${name}" must be at most ${rule.maxLength} characters`;
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `"${name}" must be true or false`;
+    case 'array':
+      if (!Array.isArray(value)) return `"${name}" must be an array`;
+      if (value.length > rule.maxItems) return `"${name}" must have at most ${rule.maxItems} items`;
+      for (let i = 0; i < value.length; i++) {
+        const problem = checkValue(`${name}[${i}]`, rule.items, value[i]);
+        if (problem) return problem;
+      }
+      return null;
+    default: {
+      const integer = rule.type === 'integer';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        return `"${name}" must be ${integer ? 'an integer' : 'a number'}`;
+      }
+      const belowMin = rule.exclusiveMin ? value <= rule.min : value < rule.min;
+      if (belowMin || (rule.max !== undefined && value > rule.max)) {
+        const lower = rule.exclusiveMin ? `greater than ${rule.min}` : `at least ${rule.min}`;
+        return rule.max === undefined
+          ? `"${name}" must be ${lower}`
+          : `"${name}" must be ${lower} and at most ${rule.max}`;
+      }
+      return null;
+    }
+  }
+}
+
+// Returns { value } with nulls for omitted fields, or { error } describing the first problem
+function validateGeoPayload(body, now = new Date()) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Body must be a JSON object' };
+  const value = {};
+  for (const name of Object.keys(body)) {
+    if (!Object.prototype.hasOwnProperty.call(GEO_FIELDS, name)) return { error: `Unknown field "${name}"` };
+  }
+  for (const [name, rule] of Object.entries(GEO_FIELDS)) {
+    const given = body[name];
+    if (given === undefined || given === null) {
+      value[name] = null;
+      continue;
+    }
+    const problem = checkValue(name, rule, given);
+    if (problem) return { error: problem };
+    value[name] = given;
+  }
+  if ((value.lat === null) !== (value.lon === null)) return { error: '"lat" and "lon" must be sent together' };
+  if (value.accuracy !== null && value.lat === null) return { error: '"accuracy" requires "lat" and "lon"' };
+  if (value.timestamp !== null && Math.abs(value.timestamp - now.getTime()) > TIMESTAMP_SKEW_MS) {
+    return { error: '"timestamp" must be within a day of the current time' };
+  }
+  return { value };
+}
+
+function tokenSignature(key, cid, exp) {
+  return crypto.createHmac('sha256', key).update(`geo.${exp}.${cid}`).digest('base64url');
+}
+
+// Token handed to the image-mode page: "<exp unix seconds>.<HMAC over exp and click id>"
+function signGeoToken(key, cid, expiresAt) {
+  const exp = String(Math.floor(expiresAt.getTime() / 1000));
+  return `${exp}.${tokenSignature(key, cid, exp)}`;
+}
+
+// Returns null when valid, otherwise bad_token or window_closed
+function verifyGeoToken(key, cid, token, now = new Date()) {
+  const match = /^(\d{1,12})\.([A-Za-z0-9_-]{1,64})$/.exec(typeof token === 'string' ? token : '');
+  if (!match || typeof cid !== 'string') return 'bad_token';
+  const expected = Buffer.from(tokenSignature(key, cid, match[1]));
+  const given = Buffer.from(match[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'bad_token';
+  if (Number(match[1]) * 1000 <= now.getTime()) return 'window_closed';
+  return null;
+}
+
+module.exports = { GEO_FIELDS, validateGeoPayload, signGeoToken, verifyGeoToken };
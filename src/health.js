@@ -0,0 +1,35 @@
+// Readiness for /readyz: the database takes a write within timeoutMs, and the click queue is
+// neither full nor shutting down
+function createReadinessCheck({ storage, ingest, maxQueue, timeoutMs = 2000, log }) {
+  const upsert = `INSERT INTO health_checks (id, checked_at) VALUES (1, @checked_at)
+     ON CONFLICT (id) DO UPDATE SET checked_at = excluded.checked_at`;
+
+  async function database() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs} ms`)), timeoutMs);
+    });
+    try {
+      await Promise.race([storage.run(upsert, { checked_at: new Date().toISOString() }), timeout]);
+      return 'ok';
+    } catch (e) {
+      log.error('Readiness check: database write failed', { error: e.message });
+      return 'failed';
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function queue() {
+    const { queued, closed } = ingest.status();
+    if (closed) return 'shutting_down';
+    return queued >= maxQueue ? 'full' : 'ok';
+  }
+
+  return async function checkReadiness() {
+    const checks = { database: await database(), click_queue: queue() };
+    return { ready: Object.values(checks).every((v) => v === 'ok'), checks };
+  };
+}
+
+module.exports = { createReadinessCheck };
@@ -0,0 +1,63 @@
+// HTML escaping and the page chrome shared by the admin screens
+
+// null and undefined become empty; 0 and false are shown
+function escapeHtml(s) {
+  return (s == null ? '' : String(s)).replace(/[&<>"']/g, (c) => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;','\'':'&#39;' }[c]));
+}
+
+// Shared chrome for the signed-in admin pages
+function renderAdminPage(req, { title, body }) {
+  const user = req.auth.user;
+  const canManage = req.auth.scopes.includes('users:manage');
+  return `<!doctype html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <title>${escapeHtml(title)}</title>
+      <style>
+        body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px; }
+        nav { display: flex; gap: 16px; align-items: center; margin-bottom: 16px; font-size: 14px; }
+        nav form { margin-left: auto; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 8px; font-size: 13px; vertical-align: top; }
+        th { background: #f5f5f5; text-align: left; position: sticky; top: 0; }
+        tr:nth-child(even) { background: #fafafa; }
+        code { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; }
+        .badge { display: inline-block; margin-top: 4px; padding: 1px 6px; border-radius: 4px; background: #fef3c7; color: #92400e; font-size: 11px; }
+        .error { color: #b91c1c; }
+        .notice { background: #ecfdf5; border: 1px solid #a7f3d0; padding: 8px 12px; border-radius: 6px; }
+        form.inline { display: inline; }
+        fieldset { border: 1px solid #ddd; border-radius: 6px; margin: 16px 0; }
+        label { display: block; margin: 6px 0; }
+        form.filters { display: flex; flex-wrap: wrap; gap: 8px 12px; align-items: flex-end; margin: 16px 0; }
+        form.filters label { margin: 0; font-size: 13px; }
+        table.detail { width: auto; }
+        table.detail th { position: static; }
+      </style>
+    </head>
+    <body>
+      <nav>
+        <a href="/admin">Clicks</a>
+        <a href="/admin/links">Links</a>
+        ${req.auth.scopes.includes('stats:read') ? '<a href="/admin/campaigns">Campaigns</a>' : ''}
+        <a href="/admin/tokens">API tokens</a>
+        ${canManage ? '<a href="/admin/users">Users</a>' : ''}
+        ${req.auth.scopes.includes('audit:read') ? '<a href="/admin/audit">Audit log</a>' : ''}
+        ${req.auth.scopes.includes('erasure:manage') ? '<a href="/admin/erasure">Erasure requests</a>' : ''}
+        <form method="post" action="/logout">
+          <input type="hidden" name="_csrf" value="${escapeHtml(req.auth.csrfToken)}" />
+          ${escapeHtml(user.username)} (${escapeHtml(user.role)})
+          <button type="submit">Log out</button>
+        </form>
+      </nav>
+      ${body}
+    </body>
+  </html>`;
+}
+
+function csrfField(req) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(req.auth.csrfToken)}" />`;
+}
+
+module.exports = { escapeHtml, renderAdminPage, csrfField };
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./log');
+
+// Buffered click writes. /track queues its row and answers at once; the queue inserts rows in
+// batches, one transaction each, once batchSize rows are waiting or flushIntervalMs after the
+// first one arrived. When maxQueue rows are waiting, push() waits for the next batch to go out,
+// which slows /track down instead of growing memory. A failed batch is retried row by row, and
+// rows that still fail are appended to the dead-letter file for replayDeadLetters().
+function createIngestQueue({ clicks, batchSize = 200, flushIntervalMs = 100, maxQueue = 10000, deadLetterFile = null, log = createLogger() }) {
+  let pending = [];
+  const unwritten = new Set();
+  let waiters = [];
+  let timer = null;
+  let flushing = null;
+  let closed = false;
+  const counts = { written: 0, deadLettered: 0, batches: 0, failedBatches: 0 };
+
+  async function deadLetter(record, error) {
+    counts.deadLettered += 1;
+    const line = JSON.stringify({ failed_at: new Date().toISOString(), error: error.message, record });
+    try {
+      if (!deadLetterFile) throw new Error('no dead-letter file configured');
+      await fs.promises.mkdir(path.dirname(deadLetterFile), { recursive: true });
+      await fs.promises.appendFile(deadLetterFile, `${line}\n`);
+      log.warn('Click written to the dead-letter file', { id: record.id, error: error.message, file: deadLetterFile });
+    } catch (e) {
+      // Last resort: the row goes to the process log rather than nowhere
+      log.error('Click could not be written or dead-lettered', { error: error.message, dead_letter_error: e.message, record });
+    }
+  }
+
+  async function writeBatch(batch) {
+    counts.batches += 1;
+    try {
+      await clicks.insertMany(batch);
+      counts.written += batch.length;
+      return;
+    } catch (e) {
+      counts.failedBatches += 1;
+      log.warn('Click batch failed, retrying row by row', { rows: batch.length, error: e.message });
+      if (batch.length === 1) return deadLetter(batch[0], e);
+    }
+    // One bad row fails the whole transaction; retry singly so only that row is set aside
+    for (const record of batch) {
+      try {
+        await clicks.insert(record);
+        counts.written += 1;
+      } catch (e) {
+        await deadLetter(record, e);
+      }
+    }
+  }
+
+  async function drain() {
+    clearTimeout(timer);
+    timer = null;
+    while (pending.length) {
+      const batch = pending.slice(0, batchSize);
+      pending = pending.slice(batchSize);
+      // Room was made; let waiting pushes in while this batch is written
+      const woken = waiters;
+      waiters = [];
+      for (const wake of woken) wake();
+      await writeBatch(batch);
+      for (const record of batch) unwritten.delete(record.id);
+    }
+  }
+
+  function schedule() {
+    if (timer) return;
+    timer = setTimeout(flush, flushIntervalMs);
+    timer.unref();
+  }
+
+  // Write everything queued so far; concurrent callers share one run
+  function flush() {
+    if (!flushing) {
+      flushing = drain().finally(() => {
+        flushing = null;
+        // Rows pushed while the last batch was finishing
+        if (pending.length) schedule();
+      });
+    }
+    return flushing;
+  }
+
+  return {
+    // Queue a click row. Resolves once it is queued, not once it is written.
+    async push(record) {
+      while (pending.length >= maxQueue) {
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+      pending.push(record);
+      unwritten.add(record.id);
+      if (closed || pending.length >= batchSize) flush();
+      else if (!flushing) schedule();
+    },
+    flush,
+    // Wait until a queued click has been written (or dead-lettered), for requests that read it back
+    async whenWritten(id) {
+      while (unwritten.has(id)) await flush();
+    },
+    // Stop batching and write what is left; later pushes are written straight away
+    async close() {
+      closed = true;
+      await flush();
+    },
+    status() {
+      return { queued: unwritten.size, closed, ...counts };
+    }
+  };
+}
+
+// Insert the rows in a dead-letter file again. The file is renamed first, so a running server
+// starts a new one; rows that fail again are appended there. Rows whose id is already stored,
+// or was erased since the row was dead-lettered, are dropped. A ".replaying" file left by an
+// interrupted run is picked up first.
+async function replayDeadLetters({ clicks, erasure, storage, file }) {
+  const replaying = `${file}.replaying`;
+  if (!fs.existsSync(replaying)) {
+    if (!fs.existsSync(file)) return { replayed: 0, duplicates: 0, erased: 0, failed: 0 };
+    fs.renameSync(file, replaying);
+  }
+
+  const result = { replayed: 0, duplicates: 0, erased: 0, failed: 0 };
+  const failed = [];
+  for (const line of fs.readFileSync(replaying, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    try {
+      if (await erasure.isErased(entry.record.id)) {
+        result.erased += 1;
+        continue;
+      }
+      await clicks.insert(entry.record);
+      result.replayed += 1;
+    } catch (e) {
+      if (storage.isUniqueViolation(e)) {
+        result.duplicates += 1;
+      } else {
+        result.failed += 1;
+        failed.push(JSON.stringify({ ...entry, failed_at: new Date().toISOString(), error: e.message }));
+      }
+    }
+  }
+  if (failed.length) fs.appendFileSync(file, `${failed.join('\n')}\n`);
+  fs.unlinkSync(replaying);
+  return result;
+}
+
+module.exports = { createIngestQueue, replayDeadLetters };
@@ -0,0 +1,163 @@
+const net = require('net');
+
+// Strip an IPv4-mapped IPv6 prefix and any zone id so the address can be classified
+function normalizeIp(ip) {
+  if (!ip || typeof ip !== 'string') return '';
+  let out = ip.trim();
+  const zone = out.indexOf('%');
+  if (zone !== -1) out = out.slice(0, zone);
+  if (/^::ffff:\d+\.\d+\.\d+\.\d+$/i.test(out)) out = out.slice(7);
+  return out;
+}
+
+function expandIPv6(ip) {
+  const [head, tail] = ip.includes('::') ? ip.split('::') : [ip, null];
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  // An embedded IPv4 suffix occupies two groups
+  const last = tailParts.length ? tailParts : headParts;
+  if (last.length && last[last.length - 1].includes('.')) {
+    const octets = last.pop().split('.').map(Number);
+    last.push(((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+  }
+  const missing = tail === null ? 0 : 8 - headParts.length - tailParts.length;
+  return [...headParts, ...Array(missing).fill('0'), ...tailParts].map((g) => g.toLowerCase().replace(/^0+(?=.)/, ''));
+}
+
+// Reduce an address to its network prefix: /24 for IPv4, /48 for IPv6.
+// Returns null for anything that is not an IP address.
+function truncateIp(ip) {
+  const addr = normalizeIp(ip);
+  if (net.isIPv4(addr)) {
+    const parts = addr.split('.');
+    parts[3] = '0';
+    return parts.join('.');
+  }
+  if (net.isIPv6(addr)) {
+    const groups = expandIPv6(addr).slice(0, 3);
+    while (groups.length && groups[groups.length - 1] === '0') groups.pop();
+    return `${groups.join(':')}::`;
+  }
+  return null;
+}
+
+// Truncate every hop of an X-Forwarded-For style list, dropping entries that are not addresses
+function truncateIpChain(chain) {
+  if (!chain || typeof chain !== 'string') return null;
+  const hops = chain.split(',').map((hop) => truncateIp(hop)).filter(Boolean);
+  return hops.length ? hops.join(', ') : null;
+}
+
+// Named groups of proxy addresses accepted in TRUSTED_PROXIES
+const PROXY_PRESETS = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  // Default Docker bridge and compose networks (172.17-31.x, plus 192.168.x address pools)
+  docker: ['172.16.0.0/12', '192.168.0.0/16'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+function ipToBigInt(addr) {
+  if (net.isIPv4(addr)) {
+    return { family: 4, value: addr.split('.').reduce((acc, o) => (acc << 8n) + BigInt(o), 0n) };
+  }
+  if (net.isIPv6(addr)) {
+    return { family: 6, value: expandIPv6(addr).reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g, 16)), 0n) };
+  }
+  return null;
+}
+
+function parseCidr(cidr) {
+  const [addr, bitsRaw] = String(cidr).trim().split('/');
+  const parsed = ipToBigInt(normalizeIp(addr));
+  const maxBits = parsed && parsed.family === 4 ? 32 : 128;
+  const bits = bitsRaw === undefined ? maxBits : Number(bitsRaw);
+  if (!parsed || !Number.isInteger(bits) || bits < 0 || bits > maxBits) {
+    throw new Error(`Invalid trusted proxy "${cidr}" (expected an address, CIDR or one of ${Object.keys(PROXY_PRESETS).join(', ')})`);
+  }
+  const shift = BigInt(maxBits - bits);
+  return { family: parsed.family, shift, network: parsed.value >> shift };
+}
+
+// Parse "loopback, docker, 10.1.0.0/16" into CIDR matchers. "none" or empty trusts nothing.
+function parseTrustedProxies(spec) {
+  const entries = String(spec || '').split(',').map((e) => e.trim().toLowerCase()).filter((e) => e && e !== 'none');
+  return entries.flatMap((e) => PROXY_PRESETS[e] || [e]).map(parseCidr);
+}
+
+function isTrustedProxy(ip, trusted) {
+  const parsed = ipToBigInt(normalizeIp(ip));
+  if (!parsed) return false;
+  return trusted.some((c) => c.family === parsed.family && (parsed.value >> c.shift) === c.network);
+}
+
+// Strip brackets and ports: "[2001:db8::1]:4711" → "2001:db8::1", "192.0.2.1:80" → "192.0.2.1"
+function cleanHop(value) {
+  let hop = String(value || '').trim().replace(/^"|"$/g, '');
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(hop);
+  if (bracketed) hop = bracketed[1];
+  else if (/^\d+\.\d+\.\d+\.\d+:\d+$/.test(hop)) hop = hop.slice(0, hop.lastIndexOf(':'));
+  return normalizeIp(hop);
+}
+
+// "for=" values of an RFC 7239 Forwarded header, in order
+function parseForwarded(header) {
+  return header.split(',').map((element) => {
+    const pair = element.split(';').map((p) => p.trim()).find((p) => /^for=/i.test(p));
+    return pair ? cleanHop(pair.slice(4)) : '';
+  });
+}
+
+// Forwarding headers a proxy can be trusted to write, and how each lists the hops
+const PROXY_HEADERS = {
+  'x-forwarded-for': (value) => value.split(',').map(cleanHop),
+  forwarded: parseForwarded,
+  'x-real-ip': (value) => [cleanHop(value)]
+};
+
+function parseProxyHeader(value) {
+  const header = String(value || 'x-forwarded-for').trim().toLowerCase();
+  if (!PROXY_HEADERS[header]) {
+    throw new Error(`Invalid TRUSTED_PROXY_HEADER "${value}" (expected ${Object.keys(PROXY_HEADERS).join(', ')})`);
+  }
+  return header;
+}
+
+// Work out the client address. Only the one header the proxy writes is read (the others may come
+// straight from the client), and only when the connecting peer is a trusted proxy; the chain is
+// then walked from the right and the first untrusted hop is the client.
+function resolveClientIp({ remoteAddress, headers }, trusted, header = 'x-forwarded-for') {
+  const peer = normalizeIp(remoteAddress || '');
+  const value = typeof headers[header] === 'string' ? headers[header] : '';
+
+  if (!value) return { ip: peer, chain: [], source: 'socket', headerIgnored: false };
+  if (!isTrustedProxy(peer, trusted)) return { ip: peer, chain: [], source: 'socket', headerIgnored: true };
+
+  const hops = PROXY_HEADERS[header](value);
+  let ip = peer;
+  for (let i = hops.length - 1; i >= 0; i -= 1) {
+    // Unparseable or obfuscated hops ("unknown", "_hidden") end the walk at the last known address
+    if (!ipToBigInt(hops[i])) break;
+    ip = hops[i];
+    if (!isTrustedProxy(hops[i], trusted)) break;
+  }
+  return { ip, chain: hops.filter(Boolean), source: header, headerIgnored: false };
+}
+
+// Addresses as they may be shown: with ipMode "pseudonymized", rows stored before it was enabled are truncated on the way out
+function displayIp(row, ipMode) {
+  if (ipMode !== 'pseudonymized' || row.ip_truncated) return { ip: row.ip, ip_chain: row.ip_chain };
+  return { ip: truncateIp(row.ip), ip_chain: truncateIpChain(row.ip_chain) };
+}
+
+module.exports = {
+  PROXY_PRESETS,
+  normalizeIp,
+  truncateIp,
+  truncateIpChain,
+  displayIp,
+  parseTrustedProxies,
+  parseProxyHeader,
+  isTrustedProxy,
+  resolveClientIp
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+const SLUG_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Errors carry the HTTP status the routes should answer with
+function linkError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function randomSlug() {
+  return crypto.randomBytes(6).toString('base64url');
+}
+
+function parseDestination(input) {
+  const value = String(input || '').trim();
+  if (!value || value.length > 2048) throw linkError('Destination must be an http(s) URL of at most 2048 characters');
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (_) {
+    throw linkError('Destination must be an http(s) URL of at most 2048 characters');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw linkError('Destination must be an http(s) URL of at most 2048 characters');
+  }
+  return parsed.toString();
+}
+
+function parseExpiry(input) {
+  if (input === undefined || input === null || input === '') return null;
+  const date = new Date(input);
+  if (Number.isNaN(date.getTime())) throw linkError('Expiry must be a date');
+  return date.toISOString();
+}
+
+function parseEnabled(input) {
+  return input === true || input === 1 || input === '1' || input === 'true' || input === 'on';
+}
+
+function createLinkStore(storage) {
+  const columns = `l.id, l.slug, l.destination, l.owner_id, u.username AS owner, l.campaign,
+                   l.created_at, l.expires_at, l.enabled,
+                   (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) AS clicks`;
+  const sql = {
+    list: `SELECT ${columns} FROM links l LEFT JOIN users u ON u.id = l.owner_id ORDER BY l.created_at DESC`,
+    byId: `SELECT ${columns} FROM links l LEFT JOIN users u ON u.id = l.owner_id WHERE l.id = ?`,
+    bySlug: `SELECT id, slug, destination, campaign, expires_at, enabled FROM links WHERE slug = ?`,
+    insert: `INSERT INTO links (slug, destination, owner_id, campaign, created_at, expires_at, enabled)
+       VALUES (@slug, @destination, @owner_id, @campaign, @created_at, @expires_at, @enabled)
+       RETURNING id`,
+    update: `UPDATE links SET slug = @slug, destination = @destination, campaign = @campaign,
+         expires_at = @expires_at, enabled = @enabled
+       WHERE id = @id`,
+    remove: `DELETE FROM links WHERE id = ?`
+  };
+  const byId = async (id) => (await storage.get(sql.byId, [id])) || null;
+
+  function normalize(input, current = {}) {
+    const has = (key) => Object.prototype.hasOwnProperty.call(input, key);
+    const slug = has('slug') && String(input.slug || '').trim() ? String(input.slug).trim() : current.slug || randomSlug();
+    if (!SLUG_RE.test(slug)) throw linkError('Slug must be 1-64 letters, digits, "-" or "_"');
+    const campaign = has('campaign') ? String(input.campaign || '').trim().slice(0, 200) || null : current.campaign || null;
+    return {
+      slug,
+      destination: has('destination') || !current.destination ? parseDestination(input.destination) : current.destination,
+      campaign,
+      expires_at: has('expires_at') ? parseExpiry(input.expires_at) : current.expires_at || null,
+      enabled: has('enabled') ? (parseEnabled(input.enabled) ? 1 : 0) : current.enabled ?? 1
+    };
+  }
+
+  async function wrapUnique(fn) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (storage.isUniqueViolation(e)) throw linkError('That slug is already in use', 409);
+      throw e;
+    }
+  }
+
+  return {
+    list: () => storage.all(sql.list),
+    get: byId,
+
+    // Resolve a public slug; disabled and expired links are reported as gone
+    async resolve(slug, now = new Date()) {
+      const link = await storage.get(sql.bySlug, [String(slug)]);
+      if (!link) return { status: 'missing' };
+      if (!link.enabled) return { status: 'disabled', link };
+      if (link.expires_at && link.expires_at <= now.toISOString()) return { status: 'expired', link };
+      return { status: 'ok', link };
+    },
+
+    async create(input, owner) {
+      const values = normalize(input || {});
+      const { id } = await wrapUnique(() => storage.get(sql.insert, {
+        ...values,
+        owner_id: owner ? owner.id : null,
+        created_at: new Date().toISOString()
+      }));
+      return byId(id);
+    },
+
+    async update(id, input) {
+      const current = await byId(id);
+      if (!current) throw linkError('Link not found', 404);
+      const values = normalize(input || {}, current);
+      await wrapUnique(() => storage.run(sql.update, { ...values, id }));
+      return byId(id);
+    },
+
+    // Links that already have clicks are kept so those rows stay attributable; disable them instead
+    async remove(id) {
+      const current = await byId(id);
+      if (!current) throw linkError('Link not found', 404);
+      if (current.clicks > 0) throw linkError('Link has recorded clicks; disable it instead', 409);
+      await storage.run(sql.remove, [id]);
+    }
+  };
+}
+
+module.exports = { createLinkStore };
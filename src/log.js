@@ -0,0 +1,63 @@
+const { truncateIp, truncateIpChain } = require('./ip');
+const { getPrivacySignals } = require('./request');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// How fields named ip / ip_chain are written, at any depth: as seen, truncated like IP_MODE=pseudonymized, or left out
+const IP_FIELDS = {
+  full: null,
+  truncated: { ip: truncateIp, ip_chain: truncateIpChain },
+  off: { ip: () => undefined, ip_chain: () => undefined }
+};
+
+function parseLogLevel(value) {
+  const level = String(value || 'info').toLowerCase();
+  if (!LEVELS[level]) throw new Error(`Invalid LOG_LEVEL "${value}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  return level;
+}
+
+// Structured logger: one JSON object per line, { time, level, msg, ...fields }
+function createLogger({ level = 'info', ips = 'full', stream = process.stdout, fields = {} } = {}) {
+  const min = LEVELS[level];
+  const ipFields = IP_FIELDS[ips];
+  const replacer = ipFields
+    ? (key, value) => (Object.prototype.hasOwnProperty.call(ipFields, key) && typeof value === 'string' ? ipFields[key](value) : value)
+    : undefined;
+
+  function write(lvl, msg, extra) {
+    if (LEVELS[lvl] < min) return;
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level: lvl, msg, ...fields, ...extra }, replacer)}\n`);
+  }
+
+  return {
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    child: (extra) => createLogger({ level, ips, stream, fields: { ...fields, ...extra } })
+  };
+}
+
+// Access log entry per response, written once it has been sent. Requests with DNT / GPC are
+// logged without user agent and referrer, as their clicks are stored without them.
+function requestLogger(log, { clientIp }) {
+  return (req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const signals = getPrivacySignals(req);
+      const entry = {
+        method: req.method,
+        url: req.originalUrl,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+        ip: clientIp(req).ip
+      };
+      if (signals.length) entry.privacy_signal = signals.join(',');
+      else Object.assign(entry, { user_agent: req.get('user-agent') || null, referrer: req.get('referer') || null });
+      log.info('request', entry);
+    });
+    next();
+  };
+}
+
+module.exports = { LEVELS, parseLogLevel, createLogger, requestLogger };
@@ -0,0 +1,106 @@
+// Counters and histograms in the Prometheus text format, for GET /metrics
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Label values in labelNames order, so the same labels always map to the same series
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+function createRegistry() {
+  const families = [];
+
+  // collect() instead of inc() reports a value kept elsewhere, read at scrape time
+  function counter({ name, help, labelNames = [], collect = null, type = 'counter' }) {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type,
+      lines() {
+        if (collect) return [`${name} ${collect()}`];
+        return [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`);
+      }
+    });
+    return {
+      inc(labels = {}, n = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ''])), value: 0 };
+        entry.value += n;
+        series.set(key, entry);
+      }
+    };
+  }
+
+  const gauge = ({ name, help, collect }) => counter({ name, help, collect, type: 'gauge' });
+
+  function histogram({ name, help, labelNames = [], buckets = DURATION_BUCKETS }) {
+    const series = new Map();
+    families.push({
+      name,
+      help,
+      type: 'histogram',
+      lines() {
+        const out = [];
+        for (const { labels, counts, sum, count } of series.values()) {
+          buckets.forEach((le, i) => out.push(`${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`));
+          out.push(`${name}_bucket${labelText({ ...labels, le: '+Inf' })} ${count}`);
+          out.push(`${name}_sum${labelText(labels)} ${sum}`);
+          out.push(`${name}_count${labelText(labels)} ${count}`);
+        }
+        return out;
+      }
+    });
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: Object.fromEntries(labelNames.map((l) => [l, labels[l] ?? ''])), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      }
+    };
+  }
+
+  function render() {
+    return families
+      .map((f) => [`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.lines()].join('\n'))
+      .join('\n') + '\n';
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// The tracker's metrics. Click write counts are read from the ingest queue when scraped.
+function createTrackerMetrics({ ingest }) {
+  const registry = createRegistry();
+  registry.counter({ name: 'tracker_click_writes_total', help: 'Clicks written to the database.', collect: () => ingest.status().written });
+  registry.counter({ name: 'tracker_click_insert_failures_total', help: 'Clicks that could not be written and went to the dead-letter file.', collect: () => ingest.status().deadLettered });
+  registry.counter({ name: 'tracker_click_batch_failures_total', help: 'Insert batches that failed and were retried row by row.', collect: () => ingest.status().failedBatches });
+  registry.gauge({ name: 'tracker_click_queue_depth', help: 'Clicks queued and not yet written.', collect: () => ingest.status().queued });
+
+  return {
+    render: registry.render,
+    clicks: registry.counter({ name: 'tracker_clicks_total', help: 'Clicks logged, by mode (redirect or image).', labelNames: ['mode'] }),
+    geoPosts: registry.counter({ name: 'tracker_geo_posts_total', help: 'POST /api/geo requests, by outcome (accepted, error or the rejection reason).', labelNames: ['outcome'] }),
+    geoipLookups: registry.counter({ name: 'tracker_geoip_lookups_total', help: 'IP location lookups, by result (hit or miss).', labelNames: ['result'] }),
+    httpDuration: registry.histogram({ name: 'tracker_http_request_duration_seconds', help: 'Time to answer HTTP requests, by method, route and status.', labelNames: ['method', 'route', 'status'] })
+  };
+}
+
+module.exports = { DURATION_BUCKETS, createRegistry, createTrackerMetrics };
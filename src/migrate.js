@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_RE = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+
+// Add a column unless it is already there. Databases created before migrations existed
+// may already carry columns that the early migrations introduce.
+function addColumn(db, table, name, type) {
+  const existing = db.prepare(`PRAGMA table_info(${table})`).all().map((r) => r.name);
+  if (!existing.includes(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter((f) => FILE_RE.test(f))
+    .map((file) => {
+      const [, version, name] = FILE_RE.exec(file);
+      const fullPath = path.join(dir, file);
+      return {
+        version: Number(version),
+        name,
+        file,
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+        up: require(fullPath).up
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function ensureMigrationsTable(db) {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    );`
+  );
+}
+
+// Compare the rows of schema_migrations with the files on disk. Problems are migrations that
+// cannot be reconciled: unknown or edited applied ones, or pending ones older than the newest applied.
+function compareMigrations(migrations, applied, dir) {
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const problems = [];
+
+  const seen = new Set();
+  for (const m of migrations) {
+    if (seen.has(m.version)) problems.push(`Duplicate migration version ${m.version}`);
+    seen.add(m.version);
+  }
+  for (const row of applied) {
+    const m = byVersion.get(row.version);
+    if (!m) problems.push(`Applied migration ${row.version}_${row.name} is missing from ${dir}`);
+    else if (m.checksum !== row.checksum) problems.push(`Migration ${m.file} was changed after it was applied`);
+  }
+  const appliedVersions = new Set(applied.map((r) => r.version));
+  const latestApplied = applied.length ? applied[applied.length - 1].version : 0;
+  const pending = migrations.filter((m) => !appliedVersions.has(m.version));
+  for (const m of pending) {
+    if (m.version < latestApplied) problems.push(`Migration ${m.file} is older than the latest applied migration ${latestApplied}`);
+  }
+
+  return { pending, problems };
+}
+
+function migrationStatus(db, { dir = MIGRATIONS_DIR } = {}) {
+  ensureMigrationsTable(db);
+  const applied = db.prepare(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`).all();
+  return { applied, ...compareMigrations(loadMigrations(dir), applied, dir) };
+}
+
+// Copy the database to backupDir using VACUUM INTO; returns the backup path
+function backupDatabase(db, backupDir) {
+  fs.mkdirSync(backupDir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const target = path.join(backupDir, `clicks-${stamp}.db`);
+  db.prepare(`VACUUM INTO ?`).run(target);
+  return target;
+}
+
+// Apply pending migrations in order, each in its own transaction. With backupDir set, the
+// database is copied there first whenever something is pending.
+function runMigrations(db, { dir = MIGRATIONS_DIR, backupDir = null, log = () => {} } = {}) {
+  const { pending, problems } = migrationStatus(db, { dir });
+  if (problems.length) {
+    throw new Error(`Refusing to migrate:\n  ${problems.join('\n  ')}`);
+  }
+  if (pending.length === 0) return { applied: [], backup: null };
+
+  const backup = backupDir ? backupDatabase(db, backupDir) : null;
+  if (backup) log(`Backed up database to ${backup}`);
+
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)`);
+  const applied = [];
+  for (const m of pending) {
+    try {
+      db.transaction(() => {
+        m.up(db);
+        record.run(m.version, m.name, m.checksum, new Date().toISOString());
+      })();
+    } catch (e) {
+      throw new Error(`Migration ${m.file} failed: ${e.message}`);
+    }
+    log(`Applied migration ${m.file}`);
+    applied.push(m.file);
+  }
+  return { applied, backup };
+}
+
+module.exports = { MIGRATIONS_DIR, addColumn, loadMigrations, compareMigrations, migrationStatus, backupDatabase, runMigrations };
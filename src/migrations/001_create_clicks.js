@@ -0,0 +1,40 @@
+const { addColumn } = require('../migrate');
+
+// The original clicks table. Databases from before migrations existed already have it,
+// possibly without the columns the old best-effort ALTER TABLE block added.
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS clicks (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      referrer TEXT,
+      dest_url TEXT,
+      approx_country TEXT,
+      approx_region TEXT,
+      approx_city TEXT,
+      approx_lat REAL,
+      approx_lon REAL,
+      approx_accuracy_km INTEGER,
+      precise_lat REAL,
+      precise_lon REAL,
+      precise_accuracy_m INTEGER,
+      precise_timestamp TEXT,
+      consented INTEGER DEFAULT 0
+    );`
+  );
+  addColumn(db, 'clicks', 'ip_chain', 'TEXT');
+  addColumn(db, 'clicks', 'accept_language', 'TEXT');
+  addColumn(db, 'clicks', 'device_platform', 'TEXT');
+  addColumn(db, 'clicks', 'device_vendor', 'TEXT');
+  addColumn(db, 'clicks', 'device_language', 'TEXT');
+  addColumn(db, 'clicks', 'device_languages', 'TEXT');
+  addColumn(db, 'clicks', 'device_timezone', 'TEXT');
+  addColumn(db, 'clicks', 'device_hardware_concurrency', 'INTEGER');
+  addColumn(db, 'clicks', 'device_memory_gb', 'REAL');
+  addColumn(db, 'clicks', 'device_screen_w', 'INTEGER');
+  addColumn(db, 'clicks', 'device_screen_h', 'INTEGER');
+  addColumn(db, 'clicks', 'device_color_depth', 'INTEGER');
+  addColumn(db, 'clicks', 'do_not_track', 'INTEGER');
+};
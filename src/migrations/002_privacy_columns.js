@@ -0,0 +1,17 @@
+const { addColumn } = require('../migrate');
+
+// Consent records, DNT/GPC minimization, IP pseudonymization and daily visitor salts
+exports.up = (db) => {
+  addColumn(db, 'clicks', 'consent_version', 'TEXT');
+  addColumn(db, 'clicks', 'consent_at', 'TEXT');
+  addColumn(db, 'clicks', 'minimized', 'INTEGER DEFAULT 0');
+  addColumn(db, 'clicks', 'privacy_signal', 'TEXT');
+  addColumn(db, 'clicks', 'ip_truncated', 'INTEGER DEFAULT 0');
+  addColumn(db, 'clicks', 'visitor_hash', 'TEXT');
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS visitor_salts (
+      day TEXT PRIMARY KEY,
+      salt TEXT NOT NULL
+    );`
+  );
+};
@@ -0,0 +1,19 @@
+const { addColumn } = require('../migrate');
+
+// Managed short links, and the link and redirect outcome of each click
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      slug TEXT NOT NULL UNIQUE,
+      destination TEXT NOT NULL,
+      owner_id INTEGER REFERENCES users(id),
+      campaign TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT,
+      enabled INTEGER NOT NULL DEFAULT 1
+    );`
+  );
+  addColumn(db, 'clicks', 'link_id', 'INTEGER');
+  addColumn(db, 'clicks', 'redirect_reason', 'TEXT');
+};
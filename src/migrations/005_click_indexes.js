@@ -0,0 +1,9 @@
+// Listing, stats and retention all filter or sort clicks by time; stats and link pages by link
+exports.up = (db) => {
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_clicks_created_at ON clicks (created_at);
+    CREATE INDEX IF NOT EXISTS idx_clicks_link_id_created_at ON clicks (link_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_links_campaign ON links (campaign);
+    CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at);`
+  );
+};
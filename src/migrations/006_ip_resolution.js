@@ -0,0 +1,7 @@
+const { addColumn } = require('../migrate');
+
+// Which header the client address came from, and whether forwarding headers were ignored
+exports.up = (db) => {
+  addColumn(db, 'clicks', 'ip_source', 'TEXT');
+  addColumn(db, 'clicks', 'forwarded_ignored', 'INTEGER DEFAULT 0');
+};
@@ -0,0 +1,15 @@
+const { addColumn } = require('../migrate');
+
+// Bot / link-preview classification of each click, and the shared rate limit counters
+exports.up = (db) => {
+  addColumn(db, 'clicks', 'traffic_class', 'TEXT');
+  addColumn(db, 'clicks', 'traffic_reason', 'TEXT');
+  db.exec(
+    `CREATE INDEX IF NOT EXISTS idx_clicks_traffic_class_created_at ON clicks (traffic_class, created_at);
+    CREATE TABLE IF NOT EXISTS rate_limits (
+      key TEXT PRIMARY KEY,
+      window_start INTEGER NOT NULL,
+      count INTEGER NOT NULL
+    );`
+  );
+};
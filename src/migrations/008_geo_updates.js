@@ -0,0 +1,16 @@
+const { addColumn } = require('../migrate');
+
+// One-shot /api/geo updates, and a log of the updates that were turned away
+exports.up = (db) => {
+  addColumn(db, 'clicks', 'geo_submitted_at', 'TEXT');
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS geo_rejections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      click_id TEXT,
+      reason TEXT NOT NULL,
+      detail TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_geo_rejections_created_at ON geo_rejections (created_at);`
+  );
+};
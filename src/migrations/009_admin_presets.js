@@ -0,0 +1,14 @@
+// Saved /admin filter presets, and an index for the country filter
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS admin_presets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      name TEXT NOT NULL,
+      query TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE (user_id, name)
+    );
+    CREATE INDEX IF NOT EXISTS idx_clicks_approx_country_created_at ON clicks (approx_country, created_at);`
+  );
+};
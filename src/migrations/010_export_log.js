@@ -0,0 +1,21 @@
+// Who exported which clicks, with which redaction profile
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS export_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      user_id INTEGER,
+      username TEXT NOT NULL,
+      token_id INTEGER,
+      profile TEXT NOT NULL,
+      format TEXT NOT NULL,
+      range_from TEXT NOT NULL,
+      range_to TEXT NOT NULL,
+      traffic TEXT NOT NULL,
+      row_count INTEGER,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_export_log_started_at ON export_log (started_at);`
+  );
+};
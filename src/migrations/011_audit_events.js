@@ -0,0 +1,22 @@
+// Append-only record of every read of click data; triggers refuse edits and deletes
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS audit_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id INTEGER,
+      actor TEXT NOT NULL,
+      via TEXT NOT NULL,
+      token_id INTEGER,
+      route TEXT NOT NULL,
+      filters TEXT,
+      row_count INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events (created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_events_actor_created_at ON audit_events (actor, created_at);
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_update BEFORE UPDATE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_events_no_delete BEFORE DELETE ON audit_events
+      BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;`
+  );
+};
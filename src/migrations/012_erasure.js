@@ -0,0 +1,27 @@
+// Tombstones for erased clicks, and erasure requests received outside the site (e.g. by email)
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS erasures (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      erased_at TEXT NOT NULL,
+      click_id TEXT NOT NULL,
+      found INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      request_id INTEGER,
+      erased_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_erasures_click_id ON erasures (click_id);
+    CREATE TABLE IF NOT EXISTS erasure_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      contact TEXT NOT NULL,
+      click_id TEXT NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL DEFAULT 'open',
+      resolved_at TEXT,
+      resolved_by TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_erasure_requests_status ON erasure_requests (status, created_at);`
+  );
+};
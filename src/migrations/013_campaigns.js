@@ -0,0 +1,9 @@
+const { addColumn } = require('../migrate');
+
+// UTM parameters of each click and the campaign it is attributed to
+exports.up = (db) => {
+  for (const name of ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'campaign']) {
+    addColumn(db, 'clicks', name, 'TEXT');
+  }
+  db.exec(`CREATE INDEX IF NOT EXISTS idx_clicks_campaign_created_at ON clicks (campaign, created_at);`);
+};
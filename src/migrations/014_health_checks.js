@@ -0,0 +1,9 @@
+// One row /readyz rewrites to prove the database takes writes
+exports.up = (db) => {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS health_checks (
+      id INTEGER PRIMARY KEY,
+      checked_at TEXT NOT NULL
+    );`
+  );
+};
@@ -0,0 +1,9 @@
+const { addColumn } = require('../migrate');
+
+// Network operator of each click's address, and the IP location provider and database that answered
+exports.up = (db) => {
+  addColumn(db, 'clicks', 'approx_asn', 'INTEGER');
+  addColumn(db, 'clicks', 'approx_as_org', 'TEXT');
+  addColumn(db, 'clicks', 'geo_provider', 'TEXT');
+  addColumn(db, 'clicks', 'geo_db_version', 'TEXT');
+};
@@ -0,0 +1,185 @@
+// The schema of SQLite migrations 001-012 in one step. Later changes get a migration here
+// alongside their SQLite counterpart. Text columns that are sorted or compared use the "C"
+// collation so ordering matches SQLite byte order.
+exports.up = (db) => db.exec(
+  `CREATE TABLE clicks (
+    id TEXT PRIMARY KEY,
+    created_at TEXT COLLATE "C" NOT NULL,
+    ip TEXT COLLATE "C",
+    ip_chain TEXT,
+    ip_source TEXT,
+    ip_truncated INTEGER DEFAULT 0,
+    forwarded_ignored INTEGER DEFAULT 0,
+    user_agent TEXT,
+    accept_language TEXT,
+    referrer TEXT COLLATE "C",
+    dest_url TEXT COLLATE "C",
+    link_id INTEGER,
+    redirect_reason TEXT,
+    approx_country TEXT COLLATE "C",
+    approx_region TEXT,
+    approx_city TEXT,
+    approx_lat DOUBLE PRECISION,
+    approx_lon DOUBLE PRECISION,
+    approx_accuracy_km INTEGER,
+    precise_lat DOUBLE PRECISION,
+    precise_lon DOUBLE PRECISION,
+    precise_accuracy_m INTEGER,
+    precise_timestamp TEXT,
+    geo_submitted_at TEXT,
+    consented INTEGER DEFAULT 0,
+    consent_version TEXT,
+    consent_at TEXT,
+    device_platform TEXT,
+    device_vendor TEXT,
+    device_language TEXT,
+    device_languages TEXT,
+    device_timezone TEXT,
+    device_hardware_concurrency INTEGER,
+    device_memory_gb DOUBLE PRECISION,
+    device_screen_w INTEGER,
+    device_screen_h INTEGER,
+    device_color_depth INTEGER,
+    do_not_track INTEGER,
+    minimized INTEGER DEFAULT 0,
+    privacy_signal TEXT,
+    visitor_hash TEXT,
+    traffic_class TEXT COLLATE "C",
+    traffic_reason TEXT
+  );
+  CREATE INDEX idx_clicks_created_at ON clicks (created_at);
+  CREATE INDEX idx_clicks_link_id_created_at ON clicks (link_id, created_at);
+  CREATE INDEX idx_clicks_traffic_class_created_at ON clicks (traffic_class, created_at);
+  CREATE INDEX idx_clicks_approx_country_created_at ON clicks (approx_country, created_at);
+
+  CREATE TABLE visitor_salts (
+    day TEXT PRIMARY KEY,
+    salt TEXT NOT NULL
+  );
+
+  CREATE TABLE users (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    username TEXT COLLATE "C" NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    csrf_token TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    expires_at TEXT COLLATE "C" NOT NULL
+  );
+  CREATE INDEX idx_sessions_expires_at ON sessions (expires_at);
+  CREATE TABLE api_tokens (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT NOT NULL,
+    created_at TEXT COLLATE "C" NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT
+  );
+
+  CREATE TABLE links (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    slug TEXT NOT NULL UNIQUE,
+    destination TEXT NOT NULL,
+    owner_id INTEGER REFERENCES users(id),
+    campaign TEXT,
+    created_at TEXT COLLATE "C" NOT NULL,
+    expires_at TEXT COLLATE "C",
+    enabled INTEGER NOT NULL DEFAULT 1
+  );
+  CREATE INDEX idx_links_campaign ON links (campaign);
+
+  CREATE TABLE rate_limits (
+    key TEXT PRIMARY KEY,
+    window_start BIGINT NOT NULL,
+    count INTEGER NOT NULL
+  );
+
+  CREATE TABLE geo_rejections (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    created_at TEXT COLLATE "C" NOT NULL,
+    click_id TEXT,
+    reason TEXT NOT NULL,
+    detail TEXT
+  );
+  CREATE INDEX idx_geo_rejections_created_at ON geo_rejections (created_at);
+  CREATE INDEX idx_geo_rejections_click_id ON geo_rejections (click_id);
+
+  CREATE TABLE admin_presets (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id),
+    name TEXT COLLATE "C" NOT NULL,
+    query TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (user_id, name)
+  );
+
+  CREATE TABLE export_log (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    started_at TEXT COLLATE "C" NOT NULL,
+    finished_at TEXT,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    token_id INTEGER,
+    profile TEXT NOT NULL,
+    format TEXT NOT NULL,
+    range_from TEXT NOT NULL,
+    range_to TEXT NOT NULL,
+    traffic TEXT NOT NULL,
+    row_count INTEGER,
+    error TEXT
+  );
+  CREATE INDEX idx_export_log_started_at ON export_log (started_at);
+
+  CREATE TABLE audit_events (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    user_id INTEGER,
+    actor TEXT COLLATE "C" NOT NULL,
+    via TEXT NOT NULL,
+    token_id INTEGER,
+    route TEXT COLLATE "C" NOT NULL,
+    filters TEXT,
+    row_count INTEGER
+  );
+  CREATE INDEX idx_audit_events_created_at ON audit_events (created_at);
+  CREATE INDEX idx_audit_events_actor_created_at ON audit_events (actor, created_at);
+  CREATE FUNCTION audit_events_append_only() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN RAISE EXCEPTION 'audit_events is append-only'; END;
+  $$;
+  CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+  CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+    FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+  CREATE TRIGGER audit_events_no_truncate BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_events_append_only();
+
+  CREATE TABLE erasures (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    erased_at TEXT NOT NULL,
+    click_id TEXT NOT NULL,
+    found INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    request_id INTEGER,
+    erased_by TEXT
+  );
+  CREATE INDEX idx_erasures_click_id ON erasures (click_id);
+  CREATE TABLE erasure_requests (
+    id INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+    created_at TEXT COLLATE "C" NOT NULL,
+    created_by TEXT NOT NULL,
+    contact TEXT NOT NULL,
+    click_id TEXT NOT NULL,
+    note TEXT,
+    status TEXT NOT NULL DEFAULT 'open',
+    resolved_at TEXT,
+    resolved_by TEXT
+  );
+  CREATE INDEX idx_erasure_requests_status ON erasure_requests (status, created_at);`
+);
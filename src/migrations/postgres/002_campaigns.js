@@ -0,0 +1,11 @@
+// UTM parameters of each click and the campaign it is attributed to (SQLite 013)
+exports.up = (db) => db.exec(
+  `ALTER TABLE clicks
+    ADD COLUMN utm_source TEXT COLLATE "C",
+    ADD COLUMN utm_medium TEXT COLLATE "C",
+    ADD COLUMN utm_campaign TEXT,
+    ADD COLUMN utm_term TEXT,
+    ADD COLUMN utm_content TEXT,
+    ADD COLUMN campaign TEXT COLLATE "C";
+  CREATE INDEX idx_clicks_campaign_created_at ON clicks (campaign, created_at);`
+);
@@ -0,0 +1,7 @@
+// One row /readyz rewrites to prove the database takes writes (SQLite 014)
+exports.up = (db) => db.exec(
+  `CREATE TABLE health_checks (
+    id INTEGER PRIMARY KEY,
+    checked_at TEXT NOT NULL
+  );`
+);
@@ -0,0 +1,8 @@
+// Network operator of each click's address, and the IP location provider and database that answered (SQLite 015)
+exports.up = (db) => db.exec(
+  `ALTER TABLE clicks
+    ADD COLUMN approx_asn BIGINT,
+    ADD COLUMN approx_as_org TEXT,
+    ADD COLUMN geo_provider TEXT,
+    ADD COLUMN geo_db_version TEXT;`
+);
@@ -0,0 +1,4 @@
+// Browsers report geolocation accuracy in fractional metres, which SQLite's column already keeps (SQLite 001)
+exports.up = (db) => db.exec(
+  `ALTER TABLE clicks ALTER COLUMN precise_accuracy_m TYPE DOUBLE PRECISION;`
+);
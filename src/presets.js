@@ -0,0 +1,30 @@
+const { parseClickSearch, clickSearchQuery } = require('./clicksearch');
+
+// Named /admin filter sets, private to each user. Saving under an existing name replaces it.
+function createPresetStore(storage) {
+  const sql = {
+    list: `SELECT id, name, query, created_at FROM admin_presets WHERE user_id = ? ORDER BY name`,
+    upsert: `INSERT INTO admin_presets (user_id, name, query, created_at) VALUES (@user_id, @name, @query, @created_at)
+       ON CONFLICT (user_id, name) DO UPDATE SET query = excluded.query, created_at = excluded.created_at`,
+    remove: `DELETE FROM admin_presets WHERE id = ? AND user_id = ?`
+  };
+
+  return {
+    list: (user) => storage.all(sql.list, [user.id]),
+
+    // query is an /admin query string; it is re-parsed so only known filters are kept, without paging.
+    // Resolves to the query as stored.
+    async save(user, { name, query }) {
+      const label = String(name || '').trim().slice(0, 100);
+      if (!label) throw new Error('Preset name is required');
+      const search = parseClickSearch(Object.fromEntries(new URLSearchParams(String(query || ''))));
+      const normalized = clickSearchQuery(search, { page: 1 });
+      await storage.run(sql.upsert, { user_id: user.id, name: label, query: normalized, created_at: new Date().toISOString() });
+      return normalized;
+    },
+
+    remove: async (user, id) => (await storage.run(sql.remove, [id, user.id])).changes > 0
+  };
+}
+
+module.exports = { createPresetStore };
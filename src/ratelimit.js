@@ -0,0 +1,85 @@
+const { parseDuration } = require('./retention');
+
+// Parse "30/1m" into { limit, windowMs }; "off" disables the limit
+function parseRateLimit(spec) {
+  const text = String(spec || '').trim();
+  if (!text || text === 'off') return null;
+  const match = /^(\d+)\s*\/\s*(\S+)$/.exec(text);
+  if (!match || Number(match[1]) < 1) throw new Error(`Invalid rate limit "${spec}" (expected e.g. 30/1m or off)`);
+  return { limit: Number(match[1]), windowMs: parseDuration(match[2]) };
+}
+
+// Fixed-window counters held in process memory
+function createMemoryStore({ now = () => Date.now() } = {}) {
+  const windows = new Map();
+  let hits = 0;
+
+  function sweep(t) {
+    for (const [key, w] of windows) {
+      if (w.resetAt <= t) windows.delete(key);
+    }
+  }
+
+  return {
+    hit(key, windowMs) {
+      const t = now();
+      if (++hits % 1000 === 0) sweep(t);
+      const windowStart = t - (t % windowMs);
+      let w = windows.get(key);
+      if (!w || w.windowStart !== windowStart) {
+        w = { windowStart, resetAt: windowStart + windowMs, count: 0 };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: w.resetAt };
+    }
+  };
+}
+
+// Fixed-window counters in the database, shared by every instance using it
+function createDatabaseStore(storage, { now = () => Date.now() } = {}) {
+  const upsert = `INSERT INTO rate_limits (key, window_start, count) VALUES (@key, @window_start, 1)
+     ON CONFLICT (key) DO UPDATE SET
+       count = CASE WHEN rate_limits.window_start = excluded.window_start THEN rate_limits.count + 1 ELSE 1 END,
+       window_start = excluded.window_start
+     RETURNING count`;
+  let hits = 0;
+
+  return {
+    async hit(key, windowMs) {
+      const t = now();
+      // Windows are at most a day or so; anything older than that is stale
+      if (++hits % 1000 === 0) await storage.run(`DELETE FROM rate_limits WHERE window_start < ?`, [t - 2 * 24 * 60 * 60 * 1000]);
+      const windowStart = t - (t % windowMs);
+      const { count } = await storage.get(upsert, { key, window_start: windowStart });
+      return { count, resetAt: windowStart + windowMs };
+    }
+  };
+}
+
+// Middleware enforcing every rule whose key function returns a key for the request.
+// Rules: { name, limit, windowMs, key: (req) => string | null }
+function rateLimit(store, rules, { json = false } = {}) {
+  const active = rules.filter((r) => r.limit);
+  return async (req, res, next) => {
+    for (const rule of active) {
+      const key = rule.key(req);
+      if (!key) continue;
+      let hit;
+      try {
+        hit = await store.hit(`${rule.name}:${key}`, rule.windowMs);
+      } catch (e) {
+        return next(e);
+      }
+      const { count, resetAt } = hit;
+      if (count > rule.limit) {
+        res.setHeader('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+        if (json) return res.status(429).json({ ok: false, error: 'Too many requests' });
+        return res.status(429).type('text/plain').send('Too many requests');
+      }
+    }
+    next();
+  };
+}
+
+module.exports = { parseRateLimit, createMemoryStore, createDatabaseStore, rateLimit };
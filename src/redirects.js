@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+// Parse "example.com, *.example.org" into lowercase host patterns. "*" allows any host.
+function parseAllowlist(spec) {
+  return String(spec || '')
+    .split(',')
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "*.example.org" matches subdomains of example.org but not the apex itself
+function hostAllowed(hostname, allowlist) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return allowlist.some((pattern) => {
+    if (pattern === '*') return true;
+    if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1));
+    return host === pattern;
+  });
+}
+
+// Check a requested destination. reason is null when it can be followed; otherwise it says
+// why the fallback is used instead and is recorded on the click.
+function safeRedirectUrl(input, { allowlist, fallback }) {
+  const maxLen = 2048;
+  if (!input || typeof input !== 'string') return { url: fallback, reason: 'invalid_url' };
+  if (input.length > maxLen) return { url: fallback, reason: 'too_long' };
+  let parsed;
+  try {
+    parsed = new URL(input);
+  } catch (_) {
+    return { url: fallback, reason: 'invalid_url' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { url: fallback, reason: 'bad_protocol' };
+  }
+  if (!hostAllowed(parsed.hostname, allowlist)) {
+    return { url: fallback, reason: 'host_not_allowed' };
+  }
+  return { url: parsed.toString(), reason: null };
+}
+
+function signatureFor(key, url, exp) {
+  return crypto.createHmac('sha256', key).update(`${exp}.${url}`).digest('base64url');
+}
+
+// Signed /track parameters: the destination, an expiry in unix seconds and an HMAC over both
+function signTrackParams(key, url, expiresAt) {
+  const exp = String(Math.floor(expiresAt.getTime() / 1000));
+  return { u: url, exp, sig: signatureFor(key, url, exp) };
+}
+
+// Returns null when valid, otherwise the reason recorded on the click
+function verifyTrackSignature(key, { u, exp, sig }, now = new Date()) {
+  if (!key) return 'signing_disabled';
+  if (typeof u !== 'string' || typeof exp !== 'string' || typeof sig !== 'string' || !/^\d{1,12}$/.test(exp)) {
+    return 'bad_signature';
+  }
+  const expected = Buffer.from(signatureFor(key, u, exp));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'bad_signature';
+  if (Number(exp) * 1000 <= now.getTime()) return 'expired_signature';
+  return null;
+}
+
+module.exports = { parseAllowlist, hostAllowed, safeRedirectUrl, signTrackParams, verifyTrackSignature };
@@ -0,0 +1,40 @@
+const { resolveClientIp } = require('./ip');
+
+function firstQuery(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+// Do-Not-Track and Global Privacy Control request headers, e.g. ['dnt', 'gpc']
+function getPrivacySignals(req) {
+  const signals = [];
+  if (req.get('dnt') === '1') signals.push('dnt');
+  if (req.get('sec-gpc') === '1') signals.push('gpc');
+  return signals;
+}
+
+// Client address per the trusted proxy list: { ip, chain, source, headerIgnored }
+function getClientIp(req, trustedProxies, proxyHeader) {
+  return resolveClientIp({ remoteAddress: req.socket && req.socket.remoteAddress, headers: req.headers }, trustedProxies, proxyHeader);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// from/to query parameters as ISO dates, defaulting to the last 30 days; null when invalid
+function parseDateRange(query) {
+  const parseDate = (v, fallback) => {
+    if (v === undefined || v === '') return fallback;
+    const d = new Date(String(v));
+    return Number.isNaN(d.getTime()) ? null : d;
+  };
+  const to = parseDate(firstQuery(query.to), new Date());
+  const from = parseDate(firstQuery(query.from), to && new Date(to.getTime() - 30 * DAY_MS));
+  if (!from || !to || from >= to) return null;
+  return { from, to };
+}
+
+// Express 4 ignores rejected promises; hand them to next() so the error handler answers
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+module.exports = { firstQuery, parseDateRange, getPrivacySignals, getClientIp, asyncRoute };
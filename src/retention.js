@@ -0,0 +1,149 @@
+const { truncateIp } = require('./ip');
+const { createLogger } = require('./log');
+
+const DEVICE_COLUMNS = [
+  'user_agent',
+  'accept_language',
+  'device_platform',
+  'device_vendor',
+  'device_language',
+  'device_languages',
+  'device_timezone',
+  'device_hardware_concurrency',
+  'device_memory_gb',
+  'device_screen_w',
+  'device_screen_h',
+  'device_color_depth'
+];
+
+// Each action resolves to the number of rows it changed for clicks created before `cutoff`
+const ACTIONS = {
+  async delete(tx, cutoff) {
+    // Rejected /api/geo updates reference clicks, so they go with them
+    await tx.run(`DELETE FROM geo_rejections WHERE created_at < ?`, [cutoff]);
+    return (await tx.run(`DELETE FROM clicks WHERE created_at < ?`, [cutoff])).changes;
+  },
+  async drop_precise(tx, cutoff) {
+    return (await tx.run(
+      `UPDATE clicks SET precise_lat = NULL, precise_lon = NULL, precise_accuracy_m = NULL, precise_timestamp = NULL
+       WHERE created_at < ? AND (precise_lat IS NOT NULL OR precise_lon IS NOT NULL)`,
+      [cutoff]
+    )).changes;
+  },
+  async drop_device(tx, cutoff) {
+    return (await tx.run(
+      `UPDATE clicks SET ${DEVICE_COLUMNS.map((c) => `${c} = NULL`).join(', ')}
+       WHERE created_at < ? AND (${DEVICE_COLUMNS.map((c) => `${c} IS NOT NULL`).join(' OR ')})`,
+      [cutoff]
+    )).changes;
+  },
+  async coarsen_approx(tx, cutoff) {
+    return (await tx.run(
+      `UPDATE clicks SET approx_region = NULL, approx_city = NULL, approx_lat = NULL, approx_lon = NULL, approx_accuracy_km = NULL
+       WHERE created_at < ? AND (approx_region IS NOT NULL OR approx_city IS NOT NULL OR approx_lat IS NOT NULL)`,
+      [cutoff]
+    )).changes;
+  },
+  async truncate_ip(tx, cutoff) {
+    const rows = await tx.all(`SELECT id, ip FROM clicks WHERE created_at < ? AND ip_truncated = 0`, [cutoff]);
+    let changes = 0;
+    for (const row of rows) {
+      changes += (await tx.run(
+        `UPDATE clicks SET ip = @ip, ip_chain = NULL, ip_truncated = 1 WHERE id = @id`,
+        { id: row.id, ip: truncateIp(row.ip) }
+      )).changes;
+    }
+    return changes;
+  }
+};
+
+// Deleting first keeps the coarsening passes from touching rows that are about to go anyway
+const ACTION_ORDER = ['delete', 'drop_precise', 'drop_device', 'coarsen_approx', 'truncate_ip'];
+
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+function parseDuration(value) {
+  const match = /^(\d+)\s*(ms|[smhd])$/.exec(String(value || '').trim());
+  if (!match) throw new Error(`Invalid duration "${value}" (expected e.g. 30m, 12h, 7d)`);
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
+
+// Parse "drop_precise=7d;truncate_ip=30d;delete=180d" into rules. "off" disables retention.
+function parseRetentionRules(spec) {
+  const text = String(spec || '').trim();
+  if (!text || text === 'off') return [];
+  return text
+    .split(/[;,]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [action, after] = part.split('=').map((s) => (s || '').trim());
+      if (!ACTIONS[action]) {
+        throw new Error(`Unknown retention action "${action}" (expected one of ${ACTION_ORDER.join(', ')})`);
+      }
+      return { action, after, afterMs: parseDuration(after) };
+    })
+    .sort((a, b) => ACTION_ORDER.indexOf(a.action) - ACTION_ORDER.indexOf(b.action));
+}
+
+function createRetentionJob({ storage, rules, intervalMs, now = () => Date.now(), log = createLogger() }) {
+  let timer = null;
+  let nextRunAt = null;
+  let lastRun = null;
+
+  // All rules in one transaction, so a failed run leaves nothing half-purged
+  const runAll = (startedAtMs) => storage.transaction(async (tx) => {
+    const results = [];
+    for (const rule of rules) {
+      const cutoff = new Date(startedAtMs - rule.afterMs).toISOString();
+      results.push({ action: rule.action, after: rule.after, cutoff, changes: await ACTIONS[rule.action](tx, cutoff) });
+    }
+    return results;
+  });
+
+  async function runNow() {
+    const startedAtMs = now();
+    const run = { started_at: new Date(startedAtMs).toISOString(), finished_at: null, results: [], error: null };
+    try {
+      run.results = await runAll(startedAtMs);
+    } catch (e) {
+      run.error = e.message;
+      log.error('Retention purge failed', { error: e.message });
+    }
+    run.finished_at = new Date(now()).toISOString();
+    lastRun = run;
+    return run;
+  }
+
+  function schedule(delayMs) {
+    nextRunAt = new Date(now() + delayMs).toISOString();
+    timer = setTimeout(async () => {
+      await runNow();
+      if (timer) schedule(intervalMs);
+    }, delayMs);
+    timer.unref();
+  }
+
+  return {
+    start(initialDelayMs = 0) {
+      if (timer || rules.length === 0) return;
+      schedule(initialDelayMs);
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextRunAt = null;
+    },
+    runNow,
+    status() {
+      return {
+        rules: rules.map(({ action, after }) => ({ action, after })),
+        interval_ms: intervalMs,
+        next_run_at: nextRunAt,
+        last_run: lastRun
+      };
+    }
+  };
+}
+
+module.exports = { DEVICE_COLUMNS, parseDuration, parseRetentionRules, createRetentionJob };
@@ -0,0 +1,200 @@
+const express = require('express');
+const { ROLE_SCOPES, TOKEN_SCOPES } = require('../auth');
+const { asyncRoute } = require('../request');
+const { escapeHtml, renderAdminPage, csrfField } = require('../html');
+
+// Sign-in, user accounts and API tokens
+function createAccountsRouter({ auth }) {
+  const router = express.Router();
+
+  // Login form for admin accounts
+  function renderLoginPage(res, { next, error }) {
+    const csrf = auth.issueLoginCsrf(res);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return `<!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>Sign in</title>
+        <style>
+          body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; display: flex; justify-content: center; margin-top: 12vh; }
+          form { width: 280px; }
+          label { display: block; margin: 10px 0 4px; font-size: 14px; }
+          input { width: 100%; box-sizing: border-box; padding: 6px 8px; }
+          button { margin-top: 14px; padding: 6px 14px; }
+          .error { color: #b91c1c; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <form method="post" action="/login">
+          <h1>Sign in</h1>
+          ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+          <input type="hidden" name="_csrf" value="${escapeHtml(csrf)}" />
+          <input type="hidden" name="next" value="${escapeHtml(next)}" />
+          <label for="username">Username</label>
+          <input id="username" name="username" autocomplete="username" required autofocus />
+          <label for="password">Password</label>
+          <input id="password" name="password" type="password" autocomplete="current-password" required />
+          <button type="submit">Sign in</button>
+        </form>
+      </body>
+    </html>`;
+  }
+
+  // Only follow local paths after login
+  function safeNextPath(input) {
+    const next = typeof input === 'string' ? input : '';
+    return next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/admin';
+  }
+
+  router.get('/login', (req, res) => {
+    if (req.auth && req.auth.via === 'session') return res.redirect(302, safeNextPath(req.query.next));
+    res.send(renderLoginPage(res, { next: safeNextPath(req.query.next) }));
+  });
+
+  router.post('/login', async (req, res, next) => {
+    const nextPath = safeNextPath(req.body.next);
+    if (!auth.checkLoginCsrf(req)) {
+      return res.status(403).send(renderLoginPage(res, { next: nextPath, error: 'Your session expired, please try again.' }));
+    }
+    try {
+      const user = await auth.authenticate(req.body.username, req.body.password);
+      if (!user) {
+        return res.status(401).send(renderLoginPage(res, { next: nextPath, error: 'Invalid username or password.' }));
+      }
+      await auth.startSession(res, user);
+      res.redirect(303, nextPath);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post('/logout', auth.requireAuth('clicks:read', { html: true }), asyncRoute(async (req, res) => {
+    await auth.endSession(req, res);
+    res.redirect(303, '/login');
+  }));
+
+  // Admin: manage accounts
+  router.get('/admin/users', auth.requireAuth('users:manage', { html: true }), asyncRoute(async (req, res) => {
+    const rowsHtml = (await auth.listUsers()).map((u) => (
+      `<tr>
+        <td>${escapeHtml(u.username)}</td>
+        <td>${escapeHtml(u.role)}</td>
+        <td>${escapeHtml(u.created_at)}</td>
+        <td>${u.id === req.auth.user.id ? '' : `<form class="inline" method="post" action="/admin/users/${u.id}/delete">${csrfField(req)}<button type="submit">Delete</button></form>`}</td>
+      </tr>`
+    )).join('');
+    const error = typeof req.query.error === 'string' ? req.query.error : '';
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: 'Users',
+      body: `
+        <h1>Users</h1>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <table>
+          <thead><tr><th>username</th><th>role</th><th>created_at</th><th></th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        <form method="post" action="/admin/users">
+          ${csrfField(req)}
+          <fieldset>
+            <legend>Add user</legend>
+            <label>Username <input name="username" required /></label>
+            <label>Password <input name="password" type="password" minlength="10" autocomplete="new-password" required /></label>
+            <label>Role
+              <select name="role">${Object.keys(ROLE_SCOPES).map((r) => `<option value="${r}">${r}</option>`).join('')}</select>
+            </label>
+            <button type="submit">Create</button>
+          </fieldset>
+        </form>`
+    }));
+  }));
+
+  router.post('/admin/users', auth.requireAuth('users:manage', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await auth.createUser({ username: req.body.username, password: req.body.password, role: req.body.role });
+    } catch (e) {
+      // Only validation messages are shown; anything else goes to the error handler
+      if (!e.status) throw e;
+      return res.redirect(303, `/admin/users?error=${encodeURIComponent(e.message)}`);
+    }
+    res.redirect(303, '/admin/users');
+  }));
+
+  router.post('/admin/users/:id/delete', auth.requireAuth('users:manage', { html: true }), asyncRoute(async (req, res) => {
+    const id = Number(req.params.id);
+    if (id === req.auth.user.id) {
+      return res.redirect(303, `/admin/users?error=${encodeURIComponent('You cannot delete your own account')}`);
+    }
+    await auth.deleteUser(id);
+    res.redirect(303, '/admin/users');
+  }));
+
+  // API tokens: everyone manages their own, admins see and revoke all of them. Signed-in sessions
+  // only: tokens:manage is never granted to a token.
+  async function renderTokensPage(req, { created, error }) {
+    const rowsHtml = (await auth.listApiTokens(req.auth.user, req.auth.scopes)).map((t) => (
+      `<tr>
+        <td>${escapeHtml(t.name)}</td>
+        <td>${escapeHtml(t.username)}</td>
+        <td><code>${escapeHtml(t.scopes)}</code></td>
+        <td>${escapeHtml(t.created_at)}</td>
+        <td>${escapeHtml(t.last_used_at)}</td>
+        <td>${t.revoked_at ? `revoked ${escapeHtml(t.revoked_at)}` : `<form class="inline" method="post" action="/admin/tokens/${t.id}/revoke">${csrfField(req)}<button type="submit">Revoke</button></form>`}</td>
+      </tr>`
+    )).join('');
+    const scopes = TOKEN_SCOPES.filter((s) => req.auth.scopes.includes(s));
+
+    return renderAdminPage(req, {
+      title: 'API tokens',
+      body: `
+        <h1>API tokens</h1>
+        <p>Send as <code>Authorization: Bearer &lt;token&gt;</code> to the JSON endpoints.</p>
+        ${created ? `<p class="notice">New token (shown once): <code>${escapeHtml(created)}</code></p>` : ''}
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <table>
+          <thead><tr><th>name</th><th>owner</th><th>scopes</th><th>created_at</th><th>last used</th><th></th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        <form method="post" action="/admin/tokens">
+          ${csrfField(req)}
+          <fieldset>
+            <legend>New token</legend>
+            <label>Name <input name="name" maxlength="100" required /></label>
+            ${scopes.map((s) => `<label><input type="checkbox" name="scopes" value="${s}" /> <code>${s}</code></label>`).join('')}
+            <button type="submit">Create</button>
+          </fieldset>
+        </form>`
+    });
+  }
+
+  router.get('/admin/tokens', auth.requireAuth('tokens:manage', { html: true }), asyncRoute(async (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(await renderTokensPage(req, {}));
+  }));
+
+  router.post('/admin/tokens', auth.requireAuth('tokens:manage', { html: true }), asyncRoute(async (req, res) => {
+    let created = null;
+    let error = null;
+    try {
+      created = await auth.createApiToken(req.auth.user, { name: req.body.name, scopes: req.body.scopes, allowedScopes: req.auth.scopes });
+    } catch (e) {
+      if (!e.status) throw e;
+      error = e.message;
+    }
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.status(error ? 400 : 201).send(await renderTokensPage(req, { created, error }));
+  }));
+
+  router.post('/admin/tokens/:id/revoke', auth.requireAuth('tokens:manage', { html: true }), asyncRoute(async (req, res) => {
+    await auth.revokeApiToken(req.auth.user, Number(req.params.id), req.auth.scopes);
+    res.redirect(303, '/admin/tokens');
+  }));
+
+  return router;
+}
+
+module.exports = { createAccountsRouter };
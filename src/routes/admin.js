@@ -0,0 +1,257 @@
+const express = require('express');
+const { displayIp } = require('../ip');
+const { firstQuery, asyncRoute } = require('../request');
+const { TRAFFIC_FILTERS } = require('../traffic');
+const { PAGE_SIZES, parseClickSearch, clickSearchQuery, clickSearchArgs } = require('../clicksearch');
+const { escapeHtml, renderAdminPage, csrfField } = require('../html');
+
+const AUDIT_PAGE_SIZE = 100;
+
+// Column headers of the listing; sortable ones name their SORTS key
+const COLUMNS = [
+  ['created_at', 'created_at'],
+  ['ip', 'ip'],
+  ['country', 'approx'],
+  ['dest', 'dest'],
+  ['referrer', 'referrer'],
+  ['traffic', 'traffic'],
+  [null, 'consent'],
+  [null, 'user agent']
+];
+
+// Fields shown on the detail page, grouped
+const DETAIL_SECTIONS = [
+  ['Click', ['id', 'created_at', 'dest_url', 'link_slug', 'redirect_reason', 'referrer']],
+  ['Campaign', ['campaign', 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content']],
+  ['Network', ['ip', 'ip_chain', 'ip_source', 'forwarded_ignored', 'ip_truncated']],
+  ['Traffic', ['traffic_class', 'traffic_reason', 'user_agent', 'accept_language']],
+  ['Approximate location (IP)', ['approx_country', 'approx_region', 'approx_city', 'approx_lat', 'approx_lon', 'approx_accuracy_km',
+    'approx_asn', 'approx_as_org', 'geo_provider', 'geo_db_version']],
+  ['Precise location (browser)', ['precise_lat', 'precise_lon', 'precise_accuracy_m', 'precise_timestamp', 'geo_submitted_at']],
+  ['Device', ['device_platform', 'device_vendor', 'device_language', 'device_languages', 'device_timezone',
+    'device_hardware_concurrency', 'device_memory_gb', 'device_screen_w', 'device_screen_h', 'device_color_depth']],
+  ['Consent and privacy', ['consent_version', 'consent_at', 'consented', 'do_not_track', 'minimized', 'privacy_signal']]
+];
+
+function badges(r) {
+  return [
+    r.minimized ? `minimized (${escapeHtml(r.privacy_signal)})` : '',
+    r.traffic_class && r.traffic_class !== 'human' ? `${escapeHtml(r.traffic_class)}${r.traffic_reason ? `: ${escapeHtml(r.traffic_reason)}` : ''}` : '',
+    r.forwarded_ignored ? 'forwarding header ignored' : '',
+    r.redirect_reason ? `fallback: ${escapeHtml(r.redirect_reason)}` : ''
+  ].filter(Boolean).map((b) => `<div class="badge">${b}</div>`).join('');
+}
+
+function selectOptions(values, selected, label = (v) => v) {
+  return values.map((v) => `<option value="${escapeHtml(v)}"${String(v) === String(selected) ? ' selected' : ''}>${escapeHtml(label(v))}</option>`).join('');
+}
+
+// The click listing at /admin with its detail pages and saved presets, the audit log page and the root help text
+function createAdminRouter({ config, clicks, presets, audit, auth, retentionJob }) {
+  const router = express.Router();
+
+  // Searchable, paginated admin listing of clicks
+  router.get('/admin', auth.requireAuth('clicks:read', { html: true }), asyncRoute(async (req, res) => {
+    const search = parseClickSearch(req.query);
+    let { rows, total } = await clicks.search(clickSearchArgs(search));
+    const pages = Math.max(1, Math.ceil(total / search.per_page));
+    // A page past the end (e.g. after a purge) shows the last one instead
+    if (search.page > pages) {
+      search.page = pages;
+      ({ rows, total } = await clicks.search(clickSearchArgs(search)));
+    }
+    await audit.record(req, { filters: search, rowCount: rows.length });
+    const link = (overrides) => {
+      const qs = clickSearchQuery(search, overrides);
+      return `/admin${qs ? `?${qs}` : ''}`;
+    };
+
+    const uniqueToday = await clicks.uniqueVisitors({ since: new Date().toISOString().slice(0, 10), traffic: search.traffic });
+    const retention = retentionJob.status();
+    const saved = await presets.list(req.auth.user);
+
+    const headHtml = COLUMNS.map(([sort, label]) => {
+      if (!sort) return `<th>${label}</th>`;
+      const active = search.sort === sort;
+      const dir = active && search.dir === 'desc' ? 'asc' : 'desc';
+      return `<th><a href="${escapeHtml(link({ sort, dir, page: 1 }))}">${label}</a>${active ? (search.dir === 'desc' ? ' ▼' : ' ▲') : ''}</th>`;
+    }).join('');
+
+    const rowsHtml = rows.map((row) => {
+      const r = { ...row, ...displayIp(row, config.ipMode) };
+      return `<tr>
+        <td><a href="/admin/clicks/${escapeHtml(r.id)}">${escapeHtml(r.created_at)}</a></td>
+        <td>${escapeHtml(r.ip)}${r.ip_source && r.ip_source !== 'socket' ? `<div>from <code>${escapeHtml(r.ip_source)}</code></div>` : ''}</td>
+        <td>${escapeHtml([r.approx_country, r.approx_region, r.approx_city].filter(Boolean).join(' / '))}${r.geo_provider ? `<div>by <code>${escapeHtml([r.geo_provider, r.geo_db_version].filter(Boolean).join(' '))}</code></div>` : ''}</td>
+        <td>${escapeHtml(r.dest_url)}${r.link_slug ? `<div>via <code>/l/${escapeHtml(r.link_slug)}</code></div>` : ''}${r.campaign ? `<div>campaign <a href="${escapeHtml(link({ campaign: r.campaign, page: 1 }))}">${escapeHtml(r.campaign)}</a></div>` : ''}</td>
+        <td>${escapeHtml(r.referrer)}</td>
+        <td>${escapeHtml(r.traffic_class || 'human')}${badges(r)}</td>
+        <td>${r.consent_version ? `<code>${escapeHtml(r.consent_version)}</code>${r.consented ? ' · location shared' : ''}` : ''}</td>
+        <td><code>${escapeHtml(r.user_agent)}</code></td>
+      </tr>`;
+    }).join('');
+
+    const offset = (search.page - 1) * search.per_page;
+    const first = rows.length ? offset + 1 : 0;
+    const last = offset + rows.length;
+    const pager = `<p class="pager">
+        ${first}–${last} of ${total}
+        ${search.page > 1 ? ` · <a href="${escapeHtml(link({ page: 1 }))}">first</a> · <a href="${escapeHtml(link({ page: search.page - 1 }))}">previous</a>` : ''}
+        · page ${search.page} of ${pages}
+        ${search.page < pages ? ` · <a href="${escapeHtml(link({ page: search.page + 1 }))}">next</a> · <a href="${escapeHtml(link({ page: pages }))}">last</a>` : ''}
+      </p>`;
+
+    const presetsHtml = `
+        <p>Presets:
+          ${saved.length ? saved.map((p) => `
+            <a href="/admin${p.query ? `?${escapeHtml(p.query)}` : ''}">${escapeHtml(p.name)}</a>
+            <form class="inline" method="post" action="/admin/presets/${p.id}/delete">${csrfField(req)}<button type="submit" title="Delete preset">×</button></form>`).join(' ') : 'none saved'}
+        </p>
+        <form class="inline" method="post" action="/admin/presets">
+          ${csrfField(req)}
+          <input type="hidden" name="query" value="${escapeHtml(clickSearchQuery(search, { page: 1 }))}" />
+          <input name="name" maxlength="100" placeholder="Preset name" required />
+          <button type="submit">Save current filters</button>
+        </form>`;
+
+    const html = renderAdminPage(req, {
+      title: 'Click Logs',
+      body: `
+        <h1>Clicks</h1>
+        <p>Unique visitors today: ${uniqueToday}${config.ipMode === 'pseudonymized' ? ' · IPs pseudonymized' : ''}</p>
+        <p>Retention: ${retention.rules.length ? retention.rules.map((r) => `${escapeHtml(r.action)} after ${escapeHtml(r.after)}`).join(', ') : 'off'}${retention.next_run_at ? ` · next purge ${escapeHtml(retention.next_run_at)}` : ''}${retention.last_run ? ` · last purge ${escapeHtml(retention.last_run.finished_at)}${retention.last_run.error ? ` (failed: ${escapeHtml(retention.last_run.error)})` : ''}` : ''}</p>
+        <form class="filters" method="get" action="/admin">
+          <label>From <input type="date" name="from" value="${escapeHtml(search.from)}" /></label>
+          <label>To <input type="date" name="to" value="${escapeHtml(search.to)}" /></label>
+          <label>Country <input name="country" maxlength="2" size="3" placeholder="DE" value="${escapeHtml(search.country)}" /></label>
+          <label>Destination <input name="dest" maxlength="200" value="${escapeHtml(search.dest)}" /></label>
+          <label>Referrer <input name="referrer" maxlength="200" value="${escapeHtml(search.referrer)}" /></label>
+          <label>Campaign <input name="campaign" maxlength="200" value="${escapeHtml(search.campaign)}" /></label>
+          <label>Consent <select name="consent">${selectOptions(['', 'yes', 'no'], search.consent, (v) => v || 'any')}</select></label>
+          <label>Traffic <select name="traffic">${selectOptions(TRAFFIC_FILTERS, search.traffic)}</select></label>
+          <label>Search <input type="search" name="q" maxlength="200" placeholder="user agent or referrer" value="${escapeHtml(search.q)}" /></label>
+          <label>Per page <select name="per_page">${selectOptions(PAGE_SIZES, search.per_page)}</select></label>
+          <input type="hidden" name="sort" value="${escapeHtml(search.sort)}" />
+          <input type="hidden" name="dir" value="${escapeHtml(search.dir)}" />
+          <button type="submit">Apply</button>
+          <a href="/admin">Reset</a>
+        </form>
+        ${presetsHtml}
+        ${pager}
+        <table>
+          <thead><tr>${headHtml}</tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        ${pages > 1 ? pager : ''}`
+    });
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(html);
+  }));
+
+  // Everything stored for one click
+  router.get('/admin/clicks/:id', auth.requireAuth('clicks:read', { html: true }), asyncRoute(async (req, res) => {
+    const row = await clicks.get(req.params.id);
+    await audit.record(req, { filters: { id: req.params.id }, rowCount: row ? 1 : 0 });
+    if (!row) return res.status(404).send('Click not found');
+    const r = { ...row, ...displayIp(row, config.ipMode) };
+    const rejections = await clicks.geoRejections(row.id);
+
+    const sectionsHtml = DETAIL_SECTIONS.map(([title, fields]) => `
+        <h2>${escapeHtml(title)}</h2>
+        <table class="detail">
+          ${fields.map((f) => `<tr><th>${f}</th><td><code>${escapeHtml(r[f] === null || r[f] === undefined ? '' : String(r[f]))}</code></td></tr>`).join('')}
+        </table>`).join('');
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: `Click ${row.id}`,
+      body: `
+        <p><a href="/admin">← All clicks</a></p>
+        <h1>Click <code>${escapeHtml(row.id)}</code></h1>
+        ${badges(r)}
+        ${sectionsHtml}
+        <h2>Rejected location updates</h2>
+        ${rejections.length ? `<table>
+          <thead><tr><th>at</th><th>reason</th><th>detail</th></tr></thead>
+          <tbody>${rejections.map((x) => `<tr><td>${escapeHtml(x.created_at)}</td><td><code>${escapeHtml(x.reason)}</code></td><td>${escapeHtml(x.detail)}</td></tr>`).join('')}</tbody>
+        </table>` : '<p>None</p>'}`
+    }));
+  }));
+
+  router.post('/admin/presets', auth.requireAuth('clicks:read', { html: true }), asyncRoute(async (req, res) => {
+    let query;
+    try {
+      query = await presets.save(req.auth.user, { name: req.body.name, query: req.body.query });
+    } catch (e) {
+      return res.status(400).send(escapeHtml(e.message));
+    }
+    res.redirect(303, `/admin${query ? `?${query}` : ''}`);
+  }));
+
+  router.post('/admin/presets/:id/delete', auth.requireAuth('clicks:read', { html: true }), asyncRoute(async (req, res) => {
+    await presets.remove(req.auth.user, Number(req.params.id));
+    res.redirect(303, '/admin');
+  }));
+
+  // Review of audit_events, newest first, optionally narrowed to one actor or route
+  router.get('/admin/audit', auth.requireAuth('audit:read', { html: true }), asyncRoute(async (req, res) => {
+    const actors = await audit.actors();
+    const routes = await audit.routes();
+    const actor = actors.includes(firstQuery(req.query.actor)) ? firstQuery(req.query.actor) : null;
+    const route = routes.includes(firstQuery(req.query.route)) ? firstQuery(req.query.route) : null;
+    const requested = Number(firstQuery(req.query.page));
+    const page = Number.isInteger(requested) && requested >= 1 ? requested : 1;
+    const { rows, total } = await audit.page({ actor, route, limit: AUDIT_PAGE_SIZE, offset: (page - 1) * AUDIT_PAGE_SIZE });
+    const pages = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+    const link = (p) => {
+      const params = new URLSearchParams();
+      if (actor) params.set('actor', actor);
+      if (route) params.set('route', route);
+      if (p > 1) params.set('page', String(p));
+      const qs = params.toString();
+      return `/admin/audit${qs ? `?${qs}` : ''}`;
+    };
+
+    const rowsHtml = rows.map((e) => `<tr>
+        <td>${escapeHtml(e.created_at)}</td>
+        <td>${escapeHtml(e.actor)}${e.token_id ? `<div>token #${escapeHtml(e.token_id)}</div>` : ''}</td>
+        <td><code>${escapeHtml(e.route)}</code></td>
+        <td><code>${escapeHtml(e.filters)}</code></td>
+        <td>${escapeHtml(e.row_count)}</td>
+      </tr>`).join('');
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: 'Audit log',
+      body: `
+        <h1>Audit log</h1>
+        <p>Every read of click data through the admin pages and the API. Entries cannot be edited or deleted.</p>
+        <form class="filters" method="get" action="/admin/audit">
+          <label>Actor <select name="actor">${selectOptions(['', ...actors], actor || '', (v) => v || 'anyone')}</select></label>
+          <label>Route <select name="route">${selectOptions(['', ...routes], route || '', (v) => v || 'any')}</select></label>
+          <button type="submit">Apply</button>
+        </form>
+        <p class="pager">
+          ${total} events · page ${page} of ${pages}
+          ${page > 1 ? ` · <a href="${escapeHtml(link(page - 1))}">newer</a>` : ''}
+          ${page < pages ? ` · <a href="${escapeHtml(link(page + 1))}">older</a>` : ''}
+        </p>
+        <table>
+          <thead><tr><th>at</th><th>actor</th><th>route</th><th>filters</th><th>rows</th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>`
+    }));
+  }));
+
+  // Root helper
+  router.get('/', (req, res) => {
+    const example = new URL('/l/your-slug', config.baseUrl);
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.send(`Tracking server is running.\n\nUse: ${example.toString()} (create links at ${config.baseUrl}/admin/links)\nAdmin: ${config.baseUrl}/admin`);
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
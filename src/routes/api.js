@@ -0,0 +1,163 @@
+const express = require('express');
+const { displayIp } = require('../ip');
+const { BUCKETS } = require('../stats');
+const { parseTrafficFilter } = require('../traffic');
+const { firstQuery, parseDateRange, asyncRoute } = require('../request');
+const { EXPORT_PROFILES, EXPORT_FORMATS, streamExport } = require('../export');
+
+// JSON read endpoints for clicks, statistics and retention
+function createApiRouter({ config, clicks, auth, audit, computeStats, retentionJob, exportLog }) {
+  const router = express.Router();
+
+  // Simple JSON: latest click with IP and best-available coordinates (requires clicks:read)
+  router.get('/api/last', auth.requireAuth('clicks:read'), asyncRoute(async (req, res) => {
+    try {
+      const row = await clicks.last();
+      await audit.record(req, { rowCount: row ? 1 : 0 });
+      if (!row) return res.json({ ok: true, data: null });
+
+      const hasPrecise = row.precise_lat !== null && row.precise_lon !== null;
+      const coords = hasPrecise
+        ? { lat: row.precise_lat, lon: row.precise_lon, accuracy_m: row.precise_accuracy_m, source: 'browser' }
+        : { lat: row.approx_lat, lon: row.approx_lon, accuracy_km: row.approx_accuracy_km, source: 'ip' };
+
+      return res.json({
+        ok: true,
+        data: {
+          id: row.id,
+          created_at: row.created_at,
+          ...displayIp(row, config.ipMode),
+          coords
+        }
+      });
+    } catch (e) {
+      return res.status(500).json({ ok: false });
+    }
+  }));
+
+  // JSON: list recent clicks with coordinates (requires clicks:read)
+  router.get('/api/logs', auth.requireAuth('clicks:read'), asyncRoute(async (req, res) => {
+    const limitRaw = Array.isArray(req.query.limit) ? req.query.limit[0] : req.query.limit;
+    const offsetRaw = Array.isArray(req.query.offset) ? req.query.offset[0] : req.query.offset;
+    let limit = Number(limitRaw ?? 100);
+    let offset = Number(offsetRaw ?? 0);
+    if (!Number.isFinite(limit) || limit <= 0) limit = 100;
+    if (!Number.isFinite(offset) || offset < 0) offset = 0;
+    if (limit > 1000) limit = 1000;
+    const traffic = parseTrafficFilter(req.query.traffic);
+    if (!traffic) return res.status(400).json({ ok: false, error: 'traffic must be human, bot, preview or all' });
+
+    try {
+      const rows = await clicks.page({ limit, offset, traffic });
+      await audit.record(req, { filters: { limit, offset, traffic }, rowCount: rows.length });
+
+      const data = rows.map(r => {
+        const hasPrecise = r.precise_lat !== null && r.precise_lon !== null;
+        const best = hasPrecise
+          ? { lat: r.precise_lat, lon: r.precise_lon, accuracy_m: r.precise_accuracy_m, source: 'browser' }
+          : { lat: r.approx_lat, lon: r.approx_lon, accuracy_km: r.approx_accuracy_km, source: 'ip' };
+        return {
+          id: r.id,
+          created_at: r.created_at,
+          ...displayIp(r, config.ipMode),
+          best_coords: best,
+          approx: { lat: r.approx_lat, lon: r.approx_lon, accuracy_km: r.approx_accuracy_km },
+          precise: { lat: r.precise_lat, lon: r.precise_lon, accuracy_m: r.precise_accuracy_m },
+          consented: !!r.consented,
+          consent: r.consent_version ? { version: r.consent_version, at: r.consent_at } : null,
+          minimized: !!r.minimized,
+          privacy_signal: r.privacy_signal,
+          link_id: r.link_id,
+          redirect_reason: r.redirect_reason,
+          ip_source: r.ip_source,
+          forwarded_ignored: !!r.forwarded_ignored,
+          traffic_class: r.traffic_class,
+          traffic_reason: r.traffic_reason,
+          campaign: r.campaign,
+          utm: { source: r.utm_source, medium: r.utm_medium, campaign: r.utm_campaign, term: r.utm_term, content: r.utm_content }
+        };
+      });
+
+      res.json({ ok: true, data, limit, offset, traffic });
+    } catch (e) {
+      res.status(500).json({ ok: false });
+    }
+  }));
+
+  // JSON: aggregate click statistics (requires stats:read). Query: from, to (ISO dates, default
+  // last 30 days, widened to whole buckets), bucket=hour|day, link_id, traffic (default human).
+  // Counts below STATS_MIN_COUNT are never returned.
+  router.get('/api/stats', auth.requireAuth('stats:read'), asyncRoute(async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, error: 'from and to must be dates with from before to' });
+    const { from, to } = range;
+    const bucket = firstQuery(req.query.bucket) || 'day';
+    if (!BUCKETS[bucket]) return res.status(400).json({ ok: false, error: 'bucket must be hour or day' });
+    const linkIdRaw = firstQuery(req.query.link_id);
+    const linkId = linkIdRaw === undefined || linkIdRaw === '' ? null : Number(linkIdRaw);
+    if (linkId !== null && !Number.isInteger(linkId)) {
+      return res.status(400).json({ ok: false, error: 'link_id must be an integer' });
+    }
+
+    const traffic = parseTrafficFilter(req.query.traffic);
+    if (!traffic) return res.status(400).json({ ok: false, error: 'traffic must be human, bot, preview or all' });
+
+    try {
+      const data = await computeStats({ from: from.toISOString(), to: to.toISOString(), bucket, linkId, traffic, k: config.statsMinCount });
+      await audit.record(req, { filters: { from: data.from, to: data.to, bucket, link_id: linkId, traffic } });
+      res.json({ ok: true, data });
+    } catch (e) {
+      res.status(500).json({ ok: false });
+    }
+  }));
+
+  // CSV or NDJSON download of every click in a range (requires clicks:export, plus clicks:export:full for
+  // profile=full). Query: from, to (as for /api/stats), format=csv|ndjson, profile=analyst|full, traffic.
+  router.get('/api/export', auth.requireAuth('clicks:export'), asyncRoute(async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, error: 'from and to must be dates with from before to' });
+    const profile = firstQuery(req.query.profile) || 'analyst';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_PROFILES, profile)) {
+      return res.status(400).json({ ok: false, error: `profile must be one of ${Object.keys(EXPORT_PROFILES).join(', ')}` });
+    }
+    if (!req.auth.scopes.includes(EXPORT_PROFILES[profile].scope)) return res.status(403).json({ ok: false, error: 'forbidden' });
+    const format = firstQuery(req.query.format) || 'csv';
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({ ok: false, error: 'format must be csv or ndjson' });
+    }
+    const traffic = parseTrafficFilter(req.query.traffic);
+    if (!traffic) return res.status(400).json({ ok: false, error: 'traffic must be human, bot, preview or all' });
+
+    const from = range.from.toISOString();
+    const to = range.to.toISOString();
+    const logId = await exportLog.start(req.auth, { profile, format, from, to, traffic });
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="clicks-${from.slice(0, 10)}-${to.slice(0, 10)}-${profile}.${format}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    const filters = { from, to, format, profile, traffic };
+    try {
+      const rowCount = await streamExport(res, { clicks, profile, format, from, to, traffic, ipMode: config.ipMode });
+      await exportLog.finish(logId, { rowCount });
+      await audit.record(req, { filters, rowCount });
+    } catch (e) {
+      await exportLog.finish(logId, { error: e.message });
+      await audit.record(req, { filters });
+      if (!res.headersSent) return res.status(500).json({ ok: false });
+      res.destroy();
+    }
+  }));
+
+  // JSON: the most recent exports, newest first (requires users:manage)
+  router.get('/api/exports', auth.requireAuth('users:manage'), asyncRoute(async (req, res) => {
+    res.json({ ok: true, data: await exportLog.recent() });
+  }));
+
+  // JSON: retention rules, next scheduled purge and last purge results (requires retention:read)
+  router.get('/api/retention', auth.requireAuth('retention:read'), (req, res) => {
+    res.json({ ok: true, data: retentionJob.status() });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
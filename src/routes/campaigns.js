@@ -0,0 +1,86 @@
+const express = require('express');
+const { parseTrafficFilter, TRAFFIC_FILTERS } = require('../traffic');
+const { firstQuery, parseDateRange, asyncRoute } = require('../request');
+const { escapeHtml, renderAdminPage } = require('../html');
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function breakdownText(rows, k) {
+  return rows.map((r) => `${r.key}: ${r.suppressed ? `< ${k}` : r.clicks}`).join(', ');
+}
+
+// Campaign report: JSON API and admin page
+function createCampaignsRouter({ config, auth, audit, computeCampaigns }) {
+  const router = express.Router();
+
+  // JSON: clicks, unique visitors, countries and sources per campaign (requires stats:read).
+  // Query: from, to, traffic as for /api/stats. Counts below STATS_MIN_COUNT are never returned.
+  router.get('/api/campaigns', auth.requireAuth('stats:read'), asyncRoute(async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, error: 'from and to must be dates with from before to' });
+    const traffic = parseTrafficFilter(req.query.traffic);
+    if (!traffic) return res.status(400).json({ ok: false, error: 'traffic must be human, bot, preview or all' });
+
+    const filters = { from: range.from.toISOString(), to: range.to.toISOString(), traffic };
+    try {
+      const data = await computeCampaigns({ ...filters, k: config.statsMinCount });
+      await audit.record(req, { filters });
+      res.json({ ok: true, data });
+    } catch (e) {
+      res.status(500).json({ ok: false });
+    }
+  }));
+
+  // The same report as a page. The form sends whole days, and "to" includes its day.
+  router.get('/admin/campaigns', auth.requireAuth('stats:read', { html: true }), asyncRoute(async (req, res) => {
+    const fromDay = DATE_RE.test(firstQuery(req.query.from) || '') ? firstQuery(req.query.from) : '';
+    const toDay = DATE_RE.test(firstQuery(req.query.to) || '') ? firstQuery(req.query.to) : '';
+    const traffic = parseTrafficFilter(req.query.traffic) || 'human';
+    let to;
+    if (toDay) {
+      to = new Date(`${toDay}T00:00:00Z`);
+      to.setUTCDate(to.getUTCDate() + 1);
+    }
+    const range = parseDateRange({ from: fromDay, to: to && to.toISOString() });
+    const filters = range && { from: range.from.toISOString(), to: range.to.toISOString(), traffic };
+    const report = filters ? await computeCampaigns({ ...filters, k: config.statsMinCount }) : null;
+    await audit.record(req, { filters: filters || {} });
+
+    const rowsHtml = report ? report.campaigns.map((c) => {
+      const name = c.campaign === null
+        ? '<em>(none)</em>'
+        : `<a href="/admin?${escapeHtml(new URLSearchParams(Object.entries({ campaign: c.campaign, traffic, from: fromDay, to: toDay }).filter(([, v]) => v)).toString())}">${escapeHtml(c.campaign)}</a>`;
+      if (c.suppressed) return `<tr><td>${name}</td><td colspan="4">not shown (small counts)</td></tr>`;
+      return `<tr>
+        <td>${name}</td>
+        <td>${c.clicks}</td>
+        <td>${c.unique_visitors === null ? `&lt; ${report.k}` : c.unique_visitors}</td>
+        <td>${escapeHtml(breakdownText(c.sources, report.k))}</td>
+        <td>${escapeHtml(breakdownText(c.countries, report.k))}</td>
+      </tr>`;
+    }).join('') : '';
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: 'Campaigns',
+      body: `
+        <h1>Campaigns</h1>
+        <form class="filters" method="get" action="/admin/campaigns">
+          <label>From <input type="date" name="from" value="${escapeHtml(fromDay)}" /></label>
+          <label>To <input type="date" name="to" value="${escapeHtml(toDay)}" /></label>
+          <label>Traffic <select name="traffic">${TRAFFIC_FILTERS.map((v) => `<option value="${v}"${v === traffic ? ' selected' : ''}>${v}</option>`).join('')}</select></label>
+          <button type="submit">Apply</button>
+        </form>
+        ${report ? `
+        <p>${escapeHtml(report.from)} to ${escapeHtml(report.to)}. Counts below ${report.k} are not shown, nor the next smallest where one alone would be; unique visitors are counted per day.</p>
+        <table>
+          <thead><tr><th>campaign</th><th>clicks</th><th>unique visitors</th><th>source / medium</th><th>countries</th></tr></thead>
+          <tbody>${rowsHtml || '<tr><td colspan="5">No clicks in this range</td></tr>'}</tbody>
+        </table>` : '<p class="error">From must be before to.</p>'}`
+    }));
+  }));
+
+  return router;
+}
+
+module.exports = { createCampaignsRouter };
@@ -0,0 +1,148 @@
+const express = require('express');
+const { validateGeoPayload, verifyGeoToken } = require('../geoupdate');
+const { getPrivacySignals, asyncRoute } = require('../request');
+
+// Consent and precise location updates posted by the image-mode page
+function createGeoRouter({ config, clicks, ingest, metrics, rateLimits }) {
+  const router = express.Router();
+
+  // Record that the visitor opted in to the consent text they were shown
+  router.post('/api/consent', rateLimits.geo, asyncRoute(async (req, res) => {
+    const cid = req.cookies && req.cookies.cid;
+    if (!cid) {
+      return res.status(400).json({ ok: false, error: 'Missing correlation id' });
+    }
+    if (getPrivacySignals(req).length > 0) {
+      return res.status(403).json({ ok: false, error: 'Do Not Track / Global Privacy Control is set' });
+    }
+    const tokenProblem = verifyGeoToken(config.geoTokenKey, cid, req.body && req.body.token);
+    if (tokenProblem === 'bad_token') return res.status(403).json({ ok: false, error: 'Invalid or missing token' });
+    if (tokenProblem) return res.status(410).json({ ok: false, error: 'The window for this click has closed' });
+    if (!req.body || req.body.version !== config.consent.version) {
+      return res.status(409).json({ ok: false, error: 'Consent text has changed', version: config.consent.version });
+    }
+
+    try {
+      await ingest.whenWritten(cid);
+      // Clicks made with DNT / GPC never take consent, whatever a later request says
+      const before = await clicks.getConsent(cid);
+      if (!before) return res.status(404).json({ ok: false, error: 'Unknown click' });
+      if (before.minimized) {
+        return res.status(403).json({ ok: false, error: 'Do Not Track / Global Privacy Control is set' });
+      }
+      await clicks.recordConsent({ id: cid, consent_version: config.consent.version, consent_at: new Date().toISOString() });
+      const row = await clicks.getConsent(cid);
+      if (row.consent_version !== config.consent.version) {
+        return res.status(409).json({ ok: false, error: 'Consent already recorded for another version' });
+      }
+    } catch (e) {
+      return res.status(500).json({ ok: false });
+    }
+
+    res.json({ ok: true, version: config.consent.version });
+  }));
+
+  // Refuse a /api/geo update and record why in geo_rejections
+  async function rejectGeo(res, cid, status, reason, error) {
+    metrics.geoPosts.inc({ outcome: reason });
+    try {
+      await clicks.recordGeoRejection({
+        created_at: new Date().toISOString(),
+        click_id: cid ? String(cid).slice(0, 64) : null,
+        reason,
+        detail: error
+      });
+    } catch (_) {
+      // the refusal itself still goes out
+    }
+    return res.status(status).json({ ok: false, error, reason });
+  }
+
+  // Receive precise browser geolocation and device info. Each image-mode click accepts one update,
+  // within GEO_WINDOW, carrying the token from its page, and only once consent is recorded.
+  router.post('/api/geo', rateLimits.geo, asyncRoute(async (req, res) => {
+    const cid = req.cookies && req.cookies.cid;
+    if (!cid) {
+      return rejectGeo(res, null, 400, 'missing_cid', 'Missing correlation id');
+    }
+
+    if (getPrivacySignals(req).length > 0) {
+      return rejectGeo(res, cid, 403, 'privacy_signal', 'Do Not Track / Global Privacy Control is set');
+    }
+
+    const checked = validateGeoPayload(req.body);
+    if (checked.error) {
+      return rejectGeo(res, cid, 400, 'invalid_payload', checked.error);
+    }
+    const body = checked.value;
+
+    const tokenProblem = verifyGeoToken(config.geoTokenKey, cid, body.token);
+    if (tokenProblem === 'bad_token') {
+      return rejectGeo(res, cid, 403, 'bad_token', 'Invalid or missing token');
+    }
+    if (tokenProblem) {
+      return rejectGeo(res, cid, 410, 'window_closed', 'The window for this click has closed');
+    }
+
+    // Device and coordinate fields are only accepted once consent to the current text is on record
+    let consentRow;
+    try {
+      await ingest.whenWritten(cid);
+      consentRow = await clicks.getConsent(cid);
+    } catch (e) {
+      metrics.geoPosts.inc({ outcome: 'error' });
+      return res.status(500).json({ ok: false });
+    }
+    if (!consentRow) {
+      return rejectGeo(res, cid, 404, 'unknown_click', 'Unknown click');
+    }
+    if (consentRow.minimized) {
+      return rejectGeo(res, cid, 403, 'privacy_signal', 'Do Not Track / Global Privacy Control is set');
+    }
+    if (consentRow.consent_version !== config.consent.version) {
+      return rejectGeo(res, cid, 403, 'no_consent', 'Consent required');
+    }
+    if (consentRow.geo_submitted_at) {
+      return rejectGeo(res, cid, 409, 'already_submitted', 'An update was already received for this click');
+    }
+
+    const now = new Date().toISOString();
+    let updated;
+    try {
+      updated = await clicks.updateGeo({
+        id: cid,
+        precise_lat: body.lat,
+        precise_lon: body.lon,
+        precise_accuracy_m: body.accuracy,
+        precise_timestamp: body.timestamp !== null ? new Date(body.timestamp).toISOString() : now,
+        consented: body.consented ? 1 : 0,
+        device_platform: body.platform,
+        device_vendor: body.vendor,
+        device_language: body.language,
+        device_languages: body.languages ? body.languages.join(',') : null,
+        device_timezone: body.timezone,
+        device_hardware_concurrency: body.hardwareConcurrency,
+        device_memory_gb: body.deviceMemory,
+        device_screen_w: body.screenW,
+        device_screen_h: body.screenH,
+        device_color_depth: body.colorDepth,
+        do_not_track: body.doNotTrack ? 1 : 0,
+        geo_submitted_at: now
+      });
+    } catch (e) {
+      metrics.geoPosts.inc({ outcome: 'error' });
+      return res.status(500).json({ ok: false });
+    }
+    // A concurrent request got there first
+    if (!updated) {
+      return rejectGeo(res, cid, 409, 'already_submitted', 'An update was already received for this click');
+    }
+
+    metrics.geoPosts.inc({ outcome: 'accepted' });
+    res.json({ ok: true });
+  }));
+
+  return router;
+}
+
+module.exports = { createGeoRouter };
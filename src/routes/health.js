@@ -0,0 +1,26 @@
+const express = require('express');
+const { asyncRoute } = require('../request');
+
+// Liveness, readiness and Prometheus metrics for load balancers, orchestrators and scrapers
+function createHealthRouter({ auth, metrics, checkReadiness }) {
+  const router = express.Router();
+
+  // The process is up
+  router.get('/healthz', (req, res) => res.status(200).send('OK'));
+
+  // Ready for traffic: the database takes a write and the click queue has room. 503 otherwise.
+  router.get('/readyz', asyncRoute(async (req, res) => {
+    const { ready, checks } = await checkReadiness();
+    res.status(ready ? 200 : 503).json({ ok: ready, checks });
+  }));
+
+  // Prometheus text format (requires metrics:read)
+  router.get('/metrics', auth.requireAuth('metrics:read'), (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+    res.send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
@@ -0,0 +1,170 @@
+const express = require('express');
+const { asyncRoute } = require('../request');
+const { escapeHtml, renderAdminPage, csrfField } = require('../html');
+
+// Managed short links: JSON API and admin page
+function createLinksRouter({ config, links, auth }) {
+  const router = express.Router();
+
+  // Managed links: JSON API
+  function sendLinkError(res, e) {
+    if (e.status) return res.status(e.status).json({ ok: false, error: e.message });
+    return res.status(500).json({ ok: false });
+  }
+
+  router.get('/api/links', auth.requireAuth('links:read'), asyncRoute(async (req, res) => {
+    try {
+      res.json({ ok: true, data: await links.list() });
+    } catch (e) {
+      sendLinkError(res, e);
+    }
+  }));
+
+  router.post('/api/links', auth.requireAuth('links:write'), asyncRoute(async (req, res) => {
+    try {
+      res.status(201).json({ ok: true, data: await links.create(req.body, req.auth.user) });
+    } catch (e) {
+      sendLinkError(res, e);
+    }
+  }));
+
+  router.get('/api/links/:id', auth.requireAuth('links:read'), asyncRoute(async (req, res) => {
+    const link = await links.get(Number(req.params.id));
+    if (!link) return res.status(404).json({ ok: false, error: 'Link not found' });
+    res.json({ ok: true, data: link });
+  }));
+
+  router.patch('/api/links/:id', auth.requireAuth('links:write'), asyncRoute(async (req, res) => {
+    try {
+      res.json({ ok: true, data: await links.update(Number(req.params.id), req.body) });
+    } catch (e) {
+      sendLinkError(res, e);
+    }
+  }));
+
+  router.delete('/api/links/:id', auth.requireAuth('links:write'), asyncRoute(async (req, res) => {
+    try {
+      await links.remove(Number(req.params.id));
+      res.json({ ok: true });
+    } catch (e) {
+      sendLinkError(res, e);
+    }
+  }));
+
+  // Managed links: admin page
+  function toDateTimeLocal(iso) {
+    return iso ? iso.slice(0, 16) : '';
+  }
+
+  router.get('/admin/links', auth.requireAuth('links:read', { html: true }), asyncRoute(async (req, res) => {
+    const canWrite = req.auth.scopes.includes('links:write');
+    const error = typeof req.query.error === 'string' ? req.query.error : '';
+    const editing = canWrite && req.query.edit ? await links.get(Number(req.query.edit)) : null;
+    const now = new Date().toISOString();
+
+    const rowsHtml = (await links.list()).map((l) => {
+      const shortUrl = new URL(`/l/${l.slug}`, config.baseUrl).toString();
+      const state = !l.enabled ? 'disabled' : l.expires_at && l.expires_at <= now ? 'expired' : 'active';
+      const actions = canWrite ? `
+          <a href="/admin/links?edit=${l.id}">Edit</a>
+          <form class="inline" method="post" action="/admin/links/${l.id}/toggle">${csrfField(req)}<button type="submit">${l.enabled ? 'Disable' : 'Enable'}</button></form>
+          ${l.clicks === 0 ? `<form class="inline" method="post" action="/admin/links/${l.id}/delete">${csrfField(req)}<button type="submit">Delete</button></form>` : ''}` : '';
+      return `<tr>
+        <td><code>${escapeHtml(l.slug)}</code><div><a href="${escapeHtml(shortUrl)}">${escapeHtml(shortUrl)}</a></div></td>
+        <td>${escapeHtml(l.destination)}</td>
+        <td>${escapeHtml(l.campaign)}</td>
+        <td>${escapeHtml(l.owner)}</td>
+        <td>${escapeHtml(l.created_at)}</td>
+        <td>${escapeHtml(l.expires_at)}</td>
+        <td>${state}</td>
+        <td>${escapeHtml(l.clicks)}</td>
+        <td>${actions}</td>
+      </tr>`;
+    }).join('');
+
+    const form = canWrite ? `
+        <form method="post" action="${editing ? `/admin/links/${editing.id}` : '/admin/links'}">
+          ${csrfField(req)}
+          <fieldset>
+            <legend>${editing ? `Edit <code>${escapeHtml(editing.slug)}</code>` : 'New link'}</legend>
+            <label>Slug <input name="slug" maxlength="64" pattern="[A-Za-z0-9_-]+" placeholder="random if empty" value="${escapeHtml(editing && editing.slug)}" /></label>
+            <label>Destination <input name="destination" type="url" maxlength="2048" size="60" required value="${escapeHtml(editing && editing.destination)}" /></label>
+            <label>Campaign <input name="campaign" maxlength="200" value="${escapeHtml(editing && editing.campaign)}" /></label>
+            <label>Expires (UTC) <input name="expires_at" type="datetime-local" value="${escapeHtml(toDateTimeLocal(editing && editing.expires_at))}" /></label>
+            <label><input name="enabled" type="checkbox" value="1" ${!editing || editing.enabled ? 'checked' : ''} /> Enabled</label>
+            <button type="submit">${editing ? 'Save' : 'Create'}</button>
+            ${editing ? '<a href="/admin/links">Cancel</a>' : ''}
+          </fieldset>
+        </form>` : '';
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: 'Links',
+      body: `
+        <h1>Links</h1>
+        ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+        <table>
+          <thead><tr><th>slug</th><th>destination</th><th>campaign</th><th>owner</th><th>created_at</th><th>expires_at</th><th>state</th><th>clicks</th><th></th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        ${form}`
+    }));
+  }));
+
+  // Form posts carry local datetime values and omit unchecked checkboxes
+  function linkFormInput(body) {
+    return {
+      slug: body.slug,
+      destination: body.destination,
+      campaign: body.campaign,
+      expires_at: body.expires_at ? `${body.expires_at}Z` : null,
+      enabled: body.enabled === '1'
+    };
+  }
+
+  function redirectLinkError(res, e) {
+    if (!e.status) throw e;
+    res.redirect(303, `/admin/links?error=${encodeURIComponent(e.message)}`);
+  }
+
+  router.post('/admin/links', auth.requireAuth('links:write', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await links.create(linkFormInput(req.body), req.auth.user);
+    } catch (e) {
+      return redirectLinkError(res, e);
+    }
+    res.redirect(303, '/admin/links');
+  }));
+
+  router.post('/admin/links/:id', auth.requireAuth('links:write', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await links.update(Number(req.params.id), linkFormInput(req.body));
+    } catch (e) {
+      return redirectLinkError(res, e);
+    }
+    res.redirect(303, '/admin/links');
+  }));
+
+  router.post('/admin/links/:id/toggle', auth.requireAuth('links:write', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      const link = await links.get(Number(req.params.id));
+      if (link) await links.update(link.id, { enabled: !link.enabled });
+    } catch (e) {
+      return redirectLinkError(res, e);
+    }
+    res.redirect(303, '/admin/links');
+  }));
+
+  router.post('/admin/links/:id/delete', auth.requireAuth('links:write', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await links.remove(Number(req.params.id));
+    } catch (e) {
+      return redirectLinkError(res, e);
+    }
+    res.redirect(303, '/admin/links');
+  }));
+
+  return router;
+}
+
+module.exports = { createLinksRouter };
@@ -0,0 +1,187 @@
+const express = require('express');
+const { displayIp } = require('../ip');
+const { EXPORT_COLUMNS } = require('../export');
+const { CLICK_ID_RE } = require('../erasure');
+const { firstQuery, asyncRoute } = require('../request');
+const { escapeHtml, renderAdminPage, csrfField } = require('../html');
+
+// Set with cid in image mode, but kept for as long as clicks are (config.privacyCookieMs). It lists
+// this browser's latest clicks, newest first, so the link between them stays in the browser.
+const PRIVACY_COOKIE = 'privacy_ref';
+const MAX_REFERENCES = 20;
+const SEPARATOR = '.';
+
+// The clicks this browser's cookies point at: the privacy references, and a cid still within GEO_WINDOW
+function visitorClickIds(req) {
+  const cookies = req.cookies || {};
+  const ids = [...String(cookies[PRIVACY_COOKIE] || '').split(SEPARATOR), String(cookies.cid || '')];
+  return [...new Set(ids.filter((id) => CLICK_ID_RE.test(id)))].slice(0, MAX_REFERENCES);
+}
+
+// Add a click to the browser's privacy references, dropping the oldest past MAX_REFERENCES
+function rememberVisitorClick(req, res, id, maxAge) {
+  const ids = [id, ...visitorClickIds(req).filter((other) => other !== id)].slice(0, MAX_REFERENCES);
+  res.cookie(PRIVACY_COOKIE, ids.join(SEPARATOR), { httpOnly: true, sameSite: 'lax', maxAge });
+}
+
+// The clicks the visitor's cookies point at, as they may see them. Those already deleted are left out.
+async function visitorRows({ clicks, ingest }, ids, ipMode) {
+  const rows = [];
+  for (const id of ids) {
+    await ingest.whenWritten(id);
+    const row = await clicks.get(id);
+    if (!row) continue;
+    const shown = { ...row, ...displayIp(row, ipMode) };
+    rows.push(Object.fromEntries(EXPORT_COLUMNS.map((c) => [c, shown[c] ?? null])));
+  }
+  return rows;
+}
+
+function renderPrivacyPage({ config, rows, erased }) {
+  const rowsHtml = rows.map((row) => `
+        <p>Reference: <code>${escapeHtml(row.id)}</code></p>
+        <table>
+          ${EXPORT_COLUMNS.filter((c) => row[c] !== null).map((c) => `<tr><th>${c}</th><td><code>${escapeHtml(String(row[c]))}</code></td></tr>`).join('')}
+        </table>`).join('');
+
+  return `<!doctype html>
+  <html>
+    <head>
+      <meta charset="utf-8" />
+      <meta name="viewport" content="width=device-width, initial-scale=1" />
+      <title>Your data</title>
+      <style>
+        body { font-family: system-ui, -apple-system, Segoe UI, Roboto, sans-serif; margin: 24px auto; max-width: 720px; padding: 0 16px; }
+        table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+        th, td { border: 1px solid #ddd; padding: 6px 8px; font-size: 13px; text-align: left; vertical-align: top; }
+        th { background: #f5f5f5; width: 35%; }
+        code { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, monospace; word-break: break-all; }
+        .notice { background: #ecfdf5; border: 1px solid #a7f3d0; padding: 8px 12px; border-radius: 6px; }
+      </style>
+    </head>
+    <body>
+      <h1>Your data</h1>
+      <p>Operator: ${escapeHtml(config.consent.operator)}. Purpose: ${escapeHtml(config.consent.purpose)}. Retention: ${escapeHtml(config.consent.retention)}.</p>
+      ${erased ? '<p class="notice">Your data has been erased.</p>' : ''}
+      ${rows.length
+        ? `<p>This is everything stored about the ${rows.length === 1 ? 'visit' : `${rows.length} visits`} this browser is linked to.</p>${rowsHtml}
+        <form method="post" action="/privacy/erase">
+          <button type="submit">Erase this data</button>
+        </form>`
+        : `<p>No stored visit is linked to this browser.</p>`}
+      <p>To ask for a visit to be erased later, contact the operator and quote its reference.</p>
+    </body>
+  </html>`;
+}
+
+// Public data access and erasure for visitors, and the operator queue for requests received by email
+function createPrivacyRouter({ config, clicks, ingest, erasure, auth }) {
+  const router = express.Router();
+
+  // Both cookies are SameSite=Lax, so cross-site form posts arrive without them and erase nothing
+  // Resolves to whether any click was removed, or null without cookies
+  async function eraseVisitor(req, res) {
+    const ids = visitorClickIds(req);
+    if (!ids.length) return null;
+    let found = false;
+    for (const id of ids) {
+      // A click still in the queue would otherwise be written after its erasure
+      await ingest.whenWritten(id);
+      if (await erasure.erase(id, { source: 'visitor' })) found = true;
+    }
+    res.clearCookie('cid', { httpOnly: true, sameSite: 'lax' });
+    res.clearCookie(PRIVACY_COOKIE, { httpOnly: true, sameSite: 'lax' });
+    return found;
+  }
+
+  router.get('/privacy', asyncRoute(async (req, res) => {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(renderPrivacyPage({
+      config,
+      rows: await visitorRows({ clicks, ingest }, visitorClickIds(req), config.ipMode),
+      erased: firstQuery(req.query.erased) === '1'
+    }));
+  }));
+
+  router.post('/privacy/erase', asyncRoute(async (req, res) => {
+    await eraseVisitor(req, res);
+    res.redirect(303, '/privacy?erased=1');
+  }));
+
+  // JSON: what is stored for the clicks this browser's cookies point at
+  router.get('/api/privacy', asyncRoute(async (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ok: true, data: await visitorRows({ clicks, ingest }, visitorClickIds(req), config.ipMode) });
+  }));
+
+  // JSON: erase them; erased is false when they were all gone already
+  router.post('/api/privacy/erase', asyncRoute(async (req, res) => {
+    const found = await eraseVisitor(req, res);
+    if (found === null) return res.status(400).json({ ok: false, error: 'Missing correlation id' });
+    res.json({ ok: true, erased: found });
+  }));
+
+  // Operator queue: erasure requests that arrive by email, matched by the click ID the visitor quotes
+  router.get('/admin/erasure', auth.requireAuth('erasure:manage', { html: true }), asyncRoute(async (req, res) => {
+    const showAll = firstQuery(req.query.status) === 'all';
+    const requests = await erasure.listRequests({ status: showAll ? null : 'open' });
+
+    const rowsHtml = requests.map((r) => `<tr>
+        <td>${escapeHtml(r.created_at)}<div>by ${escapeHtml(r.created_by)}</div></td>
+        <td>${escapeHtml(r.contact)}</td>
+        <td><code>${escapeHtml(r.click_id)}</code>${r.click_found ? ` <a href="/admin/clicks/${escapeHtml(r.click_id)}">matches a click</a>` : '<div class="badge">no matching click</div>'}</td>
+        <td>${escapeHtml(r.note)}</td>
+        <td>${r.status === 'open' ? `
+          <form class="inline" method="post" action="/admin/erasure/${r.id}/resolve">
+            ${csrfField(req)}
+            <button type="submit" name="action" value="erase">Erase</button>
+            <button type="submit" name="action" value="reject">Reject</button>
+          </form>` : `${escapeHtml(r.status)} ${escapeHtml(r.resolved_at)} by ${escapeHtml(r.resolved_by)}`}</td>
+      </tr>`).join('');
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(renderAdminPage(req, {
+      title: 'Erasure requests',
+      body: `
+        <h1>Erasure requests</h1>
+        <p>${showAll ? '<a href="/admin/erasure">Open requests only</a>' : '<a href="/admin/erasure?status=all">Show resolved requests too</a>'}</p>
+        <table>
+          <thead><tr><th>received</th><th>contact</th><th>click ID</th><th>note</th><th></th></tr></thead>
+          <tbody>${rowsHtml}</tbody>
+        </table>
+        <form method="post" action="/admin/erasure">
+          <fieldset>
+            <legend>Log a request</legend>
+            ${csrfField(req)}
+            <label>Contact <input name="contact" maxlength="200" required /></label>
+            <label>Click ID <input name="click_id" maxlength="64" required /></label>
+            <label>Note <input name="note" maxlength="2000" /></label>
+            <button type="submit">Add</button>
+          </fieldset>
+        </form>`
+    }));
+  }));
+
+  router.post('/admin/erasure', auth.requireAuth('erasure:manage', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await erasure.createRequest(req.auth.user, req.body);
+    } catch (e) {
+      return res.status(e.status || 500).send(escapeHtml(e.message));
+    }
+    res.redirect(303, '/admin/erasure');
+  }));
+
+  router.post('/admin/erasure/:id/resolve', auth.requireAuth('erasure:manage', { html: true }), asyncRoute(async (req, res) => {
+    try {
+      await erasure.resolveRequest(req.auth.user, Number(req.params.id), req.body.action);
+    } catch (e) {
+      return res.status(e.status || 500).send(escapeHtml(e.message));
+    }
+    res.redirect(303, '/admin/erasure');
+  }));
+
+  return router;
+}
+
+module.exports = { rememberVisitorClick, createPrivacyRouter };
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { truncateIp, truncateIpChain } = require('../ip');
+const { parseDuration } = require('../retention');
+const { safeRedirectUrl, signTrackParams, verifyTrackSignature } = require('../redirects');
+const { signGeoToken } = require('../geoupdate');
+const { attributeClick, tagRedirect } = require('../campaigns');
+const { firstQuery, getPrivacySignals, asyncRoute } = require('../request');
+const { escapeHtml } = require('../html');
+const { rememberVisitorClick } = require('./privacy');
+
+function generateId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateRandomSvgImage() {
+  const width = 640;
+  const height = 360;
+  const palettes = [
+    ['#0ea5e9', '#22d3ee'],
+    ['#22c55e', '#84cc16'],
+    ['#ef4444', '#f97316'],
+    ['#8b5cf6', '#06b6d4'],
+    ['#f59e0b', '#10b981']
+  ];
+  const emojis = ['😀','🚀','🎯','🔥','🌈','🍕','⭐','❤️','🎲','🛰️','🧠','🦊'];
+  const [c1, c2] = palettes[Math.floor(Math.random() * palettes.length)];
+  const emoji = emojis[Math.floor(Math.random() * emojis.length)];
+  const rx = 16 + Math.floor(Math.random() * 40);
+  const rotate = Math.floor(Math.random() * 360);
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${c1}" />
+      <stop offset="100%" stop-color="${c2}" />
+    </linearGradient>
+  </defs>
+  <rect x="0" y="0" width="100%" height="100%" fill="url(#g)" rx="${rx}"/>
+  <g transform="translate(${width/2}, ${height/2}) rotate(${rotate})">
+    <circle cx="0" cy="0" r="112" fill="rgba(255,255,255,0.28)" />
+  </g>
+  <text x="50%" y="52%" dominant-baseline="middle" text-anchor="middle" font-size="120" fill="#ffffff">${emoji}</text>
+</svg>`;
+  return svg;
+}
+
+function pickRandomImageFile(dir) {
+  try {
+    const allowed = new Set(['.png', '.jpg', '.jpeg', '.webp', '.gif']);
+    const files = fs.readdirSync(dir)
+      .filter((f) => allowed.has(path.extname(f).toLowerCase()));
+    if (files.length === 0) return null;
+    const pick = files[Math.floor(Math.random() * files.length)];
+    return path.join(dir, pick);
+  } catch (_) {
+    return null;
+  }
+}
+
+// Click logging: /track, managed /l/:slug links, signed URL issuing and the image-mode images
+function createTrackRouter({ config, ingest, metrics, links, auth, geoLookup, visitorHash, classifyTraffic, clientIp, rateLimits }) {
+  const router = express.Router();
+  const redirectTarget = { allowlist: config.redirectAllowlist, fallback: config.redirectDefault };
+
+  // Log IP-based info for a click, then either serve the image-mode page or redirect to destUrl
+  async function handleClick(req, res, { isImageMode, destUrl, linkId = null, linkCampaign = null, redirectReason = null }) {
+    const id = generateId();
+    const createdAt = new Date().toISOString();
+    const client = clientIp(req);
+    const ip = client.ip;
+    const userAgent = req.headers['user-agent'] || '';
+    const acceptLanguage = req.get('accept-language') || '';
+    const ipChain = client.chain.join(', ');
+    const referrer = req.get('referer') || '';
+    const privacySignals = getPrivacySignals(req);
+    const minimized = privacySignals.length > 0;
+    const traffic = classifyTraffic({ ip, userAgent, headers: req.headers });
+    const attribution = attributeClick({
+      trackingParams: new URL(req.originalUrl, config.baseUrl).searchParams,
+      destUrl,
+      linkCampaign,
+      campaignParams: config.campaignParams
+    });
+
+    const record = {
+      id,
+      created_at: createdAt,
+      ip,
+      ip_chain: ipChain,
+      user_agent: userAgent,
+      accept_language: acceptLanguage,
+      referrer,
+      dest_url: isImageMode ? 'view-transaction' : destUrl,
+      link_id: linkId,
+      redirect_reason: redirectReason,
+      ip_source: client.source,
+      forwarded_ignored: client.headerIgnored ? 1 : 0,
+      ...traffic,
+      ...attribution,
+      ...geoLookup(ip),
+      minimized: minimized ? 1 : 0,
+      privacy_signal: minimized ? privacySignals.join(',') : null,
+      ip_truncated: 0,
+      visitor_hash: minimized ? null : await visitorHash(ip, userAgent)
+    };
+
+    if (config.ipMode === 'pseudonymized') {
+      // The location lookup above already used the full address; only the prefix is stored
+      Object.assign(record, {
+        ip: truncateIp(ip),
+        ip_chain: truncateIpChain(ipChain),
+        ip_truncated: 1
+      });
+    }
+
+    if (minimized) {
+      // DNT / GPC: keep the click at country level only, without headers that identify the browser
+      Object.assign(record, {
+        ip_chain: null,
+        user_agent: null,
+        accept_language: null,
+        approx_region: null,
+        approx_city: null,
+        approx_lat: null,
+        approx_lon: null,
+        approx_accuracy_km: null,
+        approx_asn: null,
+        approx_as_org: null
+      });
+    }
+
+    // Written in the next batch; rows that cannot be written end up in the dead-letter file
+    await ingest.push(record);
+    metrics.clicks.inc({ mode: isImageMode ? 'image' : 'redirect' });
+
+    if (isImageMode && minimized) {
+      // No correlation cookie and no geolocation/device script for DNT / GPC visitors
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(`<!doctype html>
+      <html>
+        <head>
+          <meta charset="utf-8" />
+          <meta name="viewport" content="width=device-width, initial-scale=1" />
+          <title>Image</title>
+          <style>
+            html,body { height:100%; margin:0 }
+            body { display:flex; align-items:center; justify-content:center; background:#0b0b0b }
+            img { max-width: min(92vw, 640px); height: auto; border-radius: 12px; box-shadow: 0 6px 30px rgba(0,0,0,.35) }
+          </style>
+        </head>
+        <body>
+          <img src="/image/random?t=${Date.now()}" alt="" />
+        </body>
+      </html>`);
+    }
+
+    if (isImageMode) {
+      // Set correlation cookie and a signed token so /api/geo can update this click once, within GEO_WINDOW
+      res.cookie('cid', id, { httpOnly: true, sameSite: 'lax', maxAge: config.geoWindowMs });
+      // and a longer-lived reference so /privacy can still show and erase the click once that window has passed
+      rememberVisitorClick(req, res, id, config.privacyCookieMs);
+      const geoToken = signGeoToken(config.geoTokenKey, id, new Date(Date.parse(createdAt) + config.geoWindowMs));
+      // Serve a consent interstitial; location and device details are only read after the visitor opts in
+      const nonce = res.locals.cspNonce;
+      const html = `<!doctype html>
+      <html>
+        <head>
+          <meta charset="utf-8" />
+          <meta name="viewport" content="width=device-width, initial-scale=1" />
+          <title>Before you continue</title>
+          <style>
+            html,body { height:100%; margin:0 }
+            body { display:flex; align-items:center; justify-content:center; background:#0b0b0b; color:#e5e5e5; font:14px system-ui, -apple-system, Segoe UI, Roboto, sans-serif }
+            .box { text-align:center }
+            .consent { max-width: 440px; text-align:left; background:#171717; border-radius: 12px; padding: 20px 24px; box-shadow: 0 6px 30px rgba(0,0,0,.35) }
+            .consent h1 { font-size: 18px; margin: 0 0 12px }
+            .consent dt { font-weight: 600; margin-top: 10px }
+            .consent dd { margin: 2px 0 0 }
+            .consent a { color: #93c5fd }
+            .actions { display:flex; gap: 8px; margin-top: 18px }
+            button { font: inherit; padding: 8px 14px; border-radius: 8px; border: 1px solid #404040; background: #262626; color: inherit; cursor: pointer }
+            button.primary { background: #2563eb; border-color: #2563eb; color: #fff }
+            img { max-width: min(92vw, 640px); height: auto; border-radius: 12px; box-shadow: 0 6px 30px rgba(0,0,0,.35) }
+            .muted { opacity: .7; margin-top: 8px }
+          </style>
+        </head>
+        <body>
+          <div class="box">
+            <div id="consent" class="consent">
+              <h1>Share your location?</h1>
+              <p>If you allow it, your browser will ask for your precise location and this page will read basic device details (platform, language, time zone, screen size). Nothing is collected unless you choose Allow.</p>
+              <dl>
+                <dt>Operator</dt><dd>${escapeHtml(config.consent.operator)}</dd>
+                <dt>Purpose</dt><dd>${escapeHtml(config.consent.purpose)}</dd>
+                <dt>Retention</dt><dd>${escapeHtml(config.consent.retention)}</dd>
+                <dt>Your data</dt><dd><a href="/privacy" target="_blank" rel="noopener">See or erase what is stored</a></dd>
+              </dl>
+              <div class="actions">
+                <button id="allow" class="primary" type="button">Allow</button>
+                <button id="decline" type="button">No thanks</button>
+              </div>
+            </div>
+            <div id="msg" class="muted"></div>
+            <img id="img" alt="" style="display:none" />
+          </div>
+          <script nonce="${escapeHtml(nonce)}">
+            (function(){
+              var CONSENT_VERSION = ${JSON.stringify(config.consent.version)};
+              var GEO_TOKEN = ${JSON.stringify(geoToken)};
+              var consent = document.getElementById('consent');
+              var msg = document.getElementById('msg');
+              var img = document.getElementById('img');
+              function showImage(){
+                consent.style.display = 'none';
+                msg.textContent = '';
+                img.style.display = 'block';
+                img.src = '/image/random?t=' + Date.now();
+                img.onerror = function(){ setTimeout(function(){ img.src = '/image/random?t=' + Date.now(); }, 300); };
+              }
+              function postJson(url, payload){
+                payload.token = GEO_TOKEN;
+                return fetch(url, { method:'POST', headers:{'Content-Type':'application/json'}, credentials:'include', body: JSON.stringify(payload) });
+              }
+              function toNum(n){ return (typeof n === 'number' && isFinite(n)) ? n : null; }
+              function readDevice(){
+                return {
+                  platform: navigator.platform || null,
+                  vendor: navigator.vendor || null,
+                  language: navigator.language || null,
+                  languages: Array.isArray(navigator.languages) ? navigator.languages.slice(0,8) : null,
+                  timezone: (Intl && Intl.DateTimeFormat) ? Intl.DateTimeFormat().resolvedOptions().timeZone : null,
+                  hardwareConcurrency: toNum(navigator.hardwareConcurrency),
+                  deviceMemory: toNum(navigator.deviceMemory),
+                  screenW: (window.screen && window.screen.width) ? Number(window.screen.width) : null,
+                  screenH: (window.screen && window.screen.height) ? Number(window.screen.height) : null,
+                  colorDepth: (window.screen && window.screen.colorDepth) ? Number(window.screen.colorDepth) : null,
+                  doNotTrack: (navigator.doNotTrack === '1')
+                };
+              }
+              function collect(){
+                var device = readDevice();
+                // If not a secure context (e.g., http on LAN IP), browsers block geolocation.
+                if (!('geolocation' in navigator) || !window.isSecureContext) {
+                  postJson('/api/geo', Object.assign({ consented: false }, device)).finally(showImage);
+                  return;
+                }
+                navigator.geolocation.getCurrentPosition(function(pos){
+                  var c = pos.coords || {};
+                  postJson('/api/geo', Object.assign({ lat: toNum(c.latitude), lon: toNum(c.longitude), accuracy: toNum(c.accuracy), timestamp: Math.round(pos.timestamp || Date.now()), consented: true }, device)).finally(showImage);
+                }, function(){
+                  postJson('/api/geo', Object.assign({ consented: false }, device)).finally(showImage);
+                }, { enableHighAccuracy: true, timeout: 8000, maximumAge: 0 });
+              }
+              document.getElementById('decline').addEventListener('click', showImage);
+              document.getElementById('allow').addEventListener('click', function(){
+                msg.textContent = 'Requesting location…';
+                postJson('/api/consent', { version: CONSENT_VERSION }).then(function(r){
+                  if (r.ok) collect(); else showImage();
+                }, showImage);
+              });
+            })();
+          </script>
+        </body>
+      </html>`;
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(html);
+    }
+
+    // Otherwise, redirect to destination, with the REDIRECT_UTM tags it does not carry yet
+    res.redirect(302, tagRedirect(destUrl, config.redirectUtm, { campaign: attribution.campaign }));
+  }
+
+  // Track route. Special case: if u=view-transaction → return random image. Signed URLs (u + exp + sig)
+  // are followed when valid; unsigned ?u= destinations make us an open redirector, so they are only
+  // followed with LEGACY_TRACK_URLS. Either way the destination host must be on REDIRECT_ALLOWLIST.
+  router.get('/track', rateLimits.track, asyncRoute(async (req, res) => {
+    const destParam = firstQuery(req.query.u);
+    const rawDest = destParam ? String(destParam) : '';
+    if (rawDest === 'view-transaction') return handleClick(req, res, { isImageMode: true, destUrl: null });
+    if (!rawDest) return handleClick(req, res, { isImageMode: false, destUrl: config.redirectDefault });
+
+    const exp = firstQuery(req.query.exp);
+    const sig = firstQuery(req.query.sig);
+    let reason = null;
+    if (exp !== undefined || sig !== undefined) {
+      reason = verifyTrackSignature(config.trackSigningKey, { u: rawDest, exp, sig });
+    } else if (!config.legacyTrackUrls) {
+      reason = 'unsigned';
+    }
+    const checked = reason ? { url: config.redirectDefault, reason } : safeRedirectUrl(rawDest, redirectTarget);
+    return handleClick(req, res, { isImageMode: false, destUrl: checked.url, redirectReason: checked.reason });
+  }));
+
+  // Admin: issue a signed /track URL for an allowed destination
+  router.post('/api/track-urls', auth.requireAuth('links:write'), (req, res) => {
+    if (!config.trackSigningKey) {
+      return res.status(503).json({ ok: false, error: 'Signed URLs are disabled (set TRACK_SIGNING_KEY)' });
+    }
+    const body = req.body || {};
+    const checked = safeRedirectUrl(typeof body.url === 'string' ? body.url : '', redirectTarget);
+    if (checked.reason) return res.status(400).json({ ok: false, error: 'Destination not allowed', reason: checked.reason });
+
+    let ttlMs;
+    try {
+      ttlMs = parseDuration(body.expires_in || '30d');
+    } catch (e) {
+      return res.status(400).json({ ok: false, error: e.message });
+    }
+    const expiresAt = new Date(Date.now() + ttlMs);
+    const trackUrl = new URL('/track', config.baseUrl);
+    for (const [k, v] of Object.entries(signTrackParams(config.trackSigningKey, checked.url, expiresAt))) {
+      trackUrl.searchParams.set(k, v);
+    }
+    res.status(201).json({ ok: true, data: { url: trackUrl.toString(), destination: checked.url, expires_at: expiresAt.toISOString() } });
+  });
+
+  // Managed short link: log the click against the link and redirect to its destination
+  router.get('/l/:slug', rateLimits.track, asyncRoute(async (req, res) => {
+    let resolved;
+    try {
+      resolved = await links.resolve(req.params.slug);
+    } catch (e) {
+      return res.status(500).type('text/plain').send('Internal error');
+    }
+    if (resolved.status === 'missing') return res.status(404).type('text/plain').send('Link not found');
+    if (resolved.status !== 'ok') return res.status(410).type('text/plain').send('This link is no longer available');
+    return handleClick(req, res, { isImageMode: false, destUrl: resolved.link.destination, linkId: resolved.link.id, linkCampaign: resolved.link.campaign });
+  }));
+
+  // Serve a random image from public/images (fallback to SVG) — no logging here
+  router.get('/image/random', (req, res) => {
+    const file = pickRandomImageFile(config.imagesDir);
+    if (file) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.sendFile(file);
+    }
+    res.setHeader('Content-Type', 'image/svg+xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(generateRandomSvgImage());
+  });
+
+  return router;
+}
+
+module.exports = { createTrackRouter };
@@ -0,0 +1,126 @@
+// Aggregate click statistics with small-count suppression, so results can be shared
+// with people who must not see individual records.
+
+const { TRAFFIC_SQL } = require('./traffic');
+
+const BROWSER_PATTERNS = [
+  ['Edge', /\bEdg(e|A|iOS)?\//],
+  ['Opera', /\bOPR\/|\bOpera\b/],
+  ['Samsung Internet', /\bSamsungBrowser\//],
+  ['Firefox', /\bFirefox\/|\bFxiOS\//],
+  ['Chrome', /\bChrome\/|\bCriOS\//],
+  ['Safari', /\bVersion\/[\d.]+.*\bSafari\//],
+  ['Internet Explorer', /\bMSIE |\bTrident\//]
+];
+
+function browserFamily(userAgent) {
+  if (!userAgent) return 'unknown';
+  for (const [name, re] of BROWSER_PATTERNS) {
+    if (re.test(userAgent)) return name;
+  }
+  return 'other';
+}
+
+function hostOf(url) {
+  if (!url) return '(none)';
+  try {
+    return new URL(url).hostname || '(none)';
+  } catch (_) {
+    return '(invalid)';
+  }
+}
+
+const BUCKETS = {
+  hour: (iso) => `${iso.slice(0, 13)}:00:00.000Z`,
+  day: (iso) => iso.slice(0, 10)
+};
+
+const BUCKET_MS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Widen a range to whole buckets (UTC): from down, to up. Two ranges a millisecond apart would
+// otherwise differ by a single click, and comparing their breakdowns would describe it.
+function alignRange({ from, to }, bucket) {
+  const size = BUCKET_MS[bucket];
+  return {
+    from: new Date(Math.floor(Date.parse(from) / size) * size).toISOString(),
+    to: new Date(Math.ceil(Date.parse(to) / size) * size).toISOString()
+  };
+}
+
+function countInto(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Complementary suppression. With exactly one cell hidden, the exact total minus the shown cells
+// would give it away, so the smallest shown cell is hidden as well (hide() rewrites it).
+function suppressComplement(rows, hide = (row) => ({ ...row, clicks: null, suppressed: true })) {
+  if (rows.filter((row) => row.suppressed).length !== 1) return rows;
+  let smallest = -1;
+  rows.forEach((row, i) => {
+    if (!row.suppressed && (smallest < 0 || row.clicks < rows[smallest].clicks)) smallest = i;
+  });
+  return smallest < 0 ? rows : rows.map((row, i) => (i === smallest ? hide(row) : row));
+}
+
+// Categories below k are folded into "other"; if "other" is still below k it is suppressed as well,
+// together with the smallest category so it cannot be worked out from the total
+function suppressBreakdown(map, k) {
+  const rows = [];
+  let other = 0;
+  for (const [key, clicks] of map) {
+    if (clicks >= k) rows.push({ key, clicks });
+    else other += clicks;
+  }
+  rows.sort((a, b) => b.clicks - a.clicks || String(a.key).localeCompare(String(b.key)));
+  if (other > 0) rows.push(other >= k ? { key: 'other', clicks: other } : { key: 'other', clicks: null, suppressed: true });
+  return suppressComplement(rows);
+}
+
+function suppressSeries(map, k) {
+  return suppressComplement([...map.keys()].sort().map((bucket) => {
+    const clicks = map.get(bucket);
+    return clicks >= k ? { bucket, clicks } : { bucket, clicks: null, suppressed: true };
+  }));
+}
+
+function createStats(storage) {
+  const sql = `SELECT created_at, approx_country, referrer, dest_url, user_agent
+     FROM clicks
+     WHERE created_at >= @from AND created_at < @to
+       AND (CAST(@link_id AS INTEGER) IS NULL OR link_id = @link_id)
+       AND ${TRAFFIC_SQL}`;
+
+  // Rows are streamed and counted as they arrive, so memory stays flat however wide the range
+  // from and to are widened to whole buckets; the result carries the range actually counted
+  return async function computeStats({ from: fromRaw, to: toRaw, bucket = 'day', linkId = null, traffic = 'human', k = 5 }) {
+    const { from, to } = alignRange({ from: fromRaw, to: toRaw }, bucket);
+    const series = new Map();
+    const breakdowns = { country: new Map(), referrer_host: new Map(), dest_host: new Map(), browser: new Map() };
+    let total = 0;
+
+    await storage.each(sql, { from, to, link_id: linkId, traffic }, (row) => {
+      total += 1;
+      countInto(series, BUCKETS[bucket](row.created_at));
+      countInto(breakdowns.country, row.approx_country || '(unknown)');
+      countInto(breakdowns.referrer_host, hostOf(row.referrer));
+      countInto(breakdowns.dest_host, row.dest_url === 'view-transaction' ? '(image mode)' : hostOf(row.dest_url));
+      countInto(breakdowns.browser, browserFamily(row.user_agent));
+    });
+
+    return {
+      from,
+      to,
+      bucket,
+      link_id: linkId,
+      traffic,
+      k,
+      total: total >= k ? total : null,
+      series: suppressSeries(series, k),
+      breakdowns: Object.fromEntries(
+        Object.entries(breakdowns).map(([name, map]) => [name, suppressBreakdown(map, k)])
+      )
+    };
+  };
+}
+
+module.exports = { BUCKETS, alignRange, browserFamily, hostOf, suppressComplement, suppressBreakdown, createStats };
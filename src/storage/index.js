@@ -0,0 +1,40 @@
+const path = require('path');
+const { openDatabase, createSqliteStorage } = require('./sqlite');
+const { openPostgres, createPostgresStorage, postgresMigrationStatus, runPostgresMigrations } = require('./postgres');
+
+// The stores (clicks, auth, links, ...) reach the database only through a storage backend:
+//
+//   dialect                         "sqlite" or "postgres"
+//   get(sql, params)                first row or undefined
+//   all(sql, params)                array of rows
+//   run(sql, params)                { changes }
+//   exec(sql)                       run statements without parameters (DDL)
+//   each(sql, params, onRow)        stream rows without loading them all
+//   transaction(fn)                 run fn(tx) in a transaction; nested calls use savepoints
+//   isUniqueViolation(error)        whether an error is a unique or primary key conflict
+//   close()
+//
+// All methods return promises. SQL is written once in the subset both databases accept; params
+// are an object for "@name" placeholders or an array for "?". A parameter that is only tested
+// with IS NULL needs a CAST so PostgreSQL can tell its type. Inside a transaction, use the tx it
+// passes rather than the outer backend: on SQLite, outer calls wait until the transaction is over.
+
+// Open the backend config.storage names. SQLite lives in dataDir/clicks.db and is backed up to
+// dataDir/backups before migrating; PostgreSQL is reached through config.databaseUrl.
+async function openStorage(config, { dataDir, log = () => {} }) {
+  if (config.storage === 'postgres') {
+    return openPostgres(config.databaseUrl, { log });
+  }
+  const db = openDatabase(path.join(dataDir, 'clicks.db'), { backupDir: path.join(dataDir, 'backups'), log });
+  return createSqliteStorage(db);
+}
+
+module.exports = {
+  openStorage,
+  openDatabase,
+  createSqliteStorage,
+  openPostgres,
+  createPostgresStorage,
+  postgresMigrationStatus,
+  runPostgresMigrations
+};
@@ -0,0 +1,154 @@
+const path = require('path');
+const { loadMigrations, compareMigrations } = require('../migrate');
+
+const POSTGRES_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations', 'postgres');
+const CURSOR_BATCH = 500;
+// Arbitrary key for the advisory lock that keeps instances starting together from migrating twice
+const MIGRATION_LOCK = 4150731;
+
+// Rewrite "@name" or "?" placeholders to $1, $2, ... The rewrite is cached per SQL text;
+// named parameters that appear more than once share a number.
+function createCompiler() {
+  const cache = new Map();
+  return function compile(sql, params) {
+    const positional = Array.isArray(params);
+    const key = `${positional ? '?' : '@'}${sql}`;
+    let entry = cache.get(key);
+    if (!entry) {
+      const names = [];
+      let n = 0;
+      const text = positional
+        ? sql.replace(/\?/g, () => `$${++n}`)
+        : sql.replace(/@([A-Za-z_][A-Za-z0-9_]*)/g, (_, name) => {
+          if (!names.includes(name)) names.push(name);
+          return `$${names.indexOf(name) + 1}`;
+        });
+      entry = { text, names };
+      cache.set(key, entry);
+    }
+    if (params === undefined) return { text: entry.text, values: [] };
+    const values = positional ? params : entry.names.map((name) => (params[name] === undefined ? null : params[name]));
+    return { text: entry.text, values };
+  };
+}
+
+// Storage backend on a pg Pool (see ./index.js for the interface)
+function createPostgresStorage(pool) {
+  const compile = createCompiler();
+  let cursors = 0;
+
+  function bound(client, depth) {
+    const query = (sql, params) => client.query(compile(sql, params));
+    const storage = {
+      dialect: 'postgres',
+      get: async (sql, params) => (await query(sql, params)).rows[0],
+      all: async (sql, params) => (await query(sql, params)).rows,
+      run: async (sql, params) => ({ changes: (await query(sql, params)).rowCount }),
+      exec: async (sql) => {
+        await client.query(sql);
+      },
+      // Rows come from a server-side cursor, so only one batch is held at a time.
+      // Cursors live in a transaction, so outside one this opens its own.
+      async each(sql, params, onRow) {
+        if (depth === null) return storage.transaction((tx) => tx.each(sql, params, onRow));
+        const cursor = `each_${++cursors}`;
+        const { text, values } = compile(sql, params);
+        await client.query({ text: `DECLARE ${cursor} NO SCROLL CURSOR FOR ${text}`, values });
+        for (;;) {
+          const { rows } = await client.query(`FETCH ${CURSOR_BATCH} FROM ${cursor}`);
+          for (const row of rows) onRow(row);
+          if (rows.length < CURSOR_BATCH) break;
+        }
+        await client.query(`CLOSE ${cursor}`);
+      },
+      async transaction(fn) {
+        if (depth === null) {
+          const tx = await pool.connect();
+          try {
+            await tx.query('BEGIN');
+            const result = await fn(bound(tx, 1));
+            await tx.query('COMMIT');
+            return result;
+          } catch (e) {
+            await tx.query('ROLLBACK').catch(() => {});
+            throw e;
+          } finally {
+            tx.release();
+          }
+        }
+        const savepoint = `sp${depth}`;
+        await client.query(`SAVEPOINT ${savepoint}`);
+        try {
+          const result = await fn(bound(client, depth + 1));
+          await client.query(`RELEASE ${savepoint}`);
+          return result;
+        } catch (e) {
+          await client.query(`ROLLBACK TO ${savepoint}`);
+          throw e;
+        }
+      },
+      isUniqueViolation: (e) => e.code === '23505',
+      close: () => pool.end()
+    };
+    return storage;
+  }
+
+  return bound(pool, null);
+}
+
+async function postgresMigrationStatus(storage, { dir = POSTGRES_MIGRATIONS_DIR } = {}) {
+  await storage.exec(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`
+  );
+  const applied = await storage.all(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version`);
+  return { applied, ...compareMigrations(loadMigrations(dir), applied, dir) };
+}
+
+// Apply pending migrations from src/migrations/postgres in one transaction
+async function runPostgresMigrations(storage, { dir = POSTGRES_MIGRATIONS_DIR, log = () => {} } = {}) {
+  return storage.transaction(async (tx) => {
+    await tx.get('SELECT pg_advisory_xact_lock(?)', [MIGRATION_LOCK]);
+    const { pending, problems } = await postgresMigrationStatus(tx, { dir });
+    if (problems.length) throw new Error(`Refusing to migrate:\n  ${problems.join('\n  ')}`);
+    for (const m of pending) {
+      try {
+        await m.up(tx);
+      } catch (e) {
+        throw new Error(`Migration postgres/${m.file} failed: ${e.message}`);
+      }
+      await tx.run(`INSERT INTO schema_migrations (version, name, checksum, applied_at) VALUES (?, ?, ?, ?)`,
+        [m.version, m.name, m.checksum, new Date().toISOString()]);
+      log(`Applied migration postgres/${m.file}`);
+    }
+    return { applied: pending.map((m) => m.file) };
+  });
+}
+
+// Connect to PostgreSQL and, unless migrate is false, apply pending migrations.
+// BIGINT columns and counts come back as numbers.
+async function openPostgres(connectionString, { max = 10, migrate = true, log = () => {} } = {}) {
+  const { Pool, types } = require('pg');
+  const pool = new Pool({
+    connectionString,
+    max,
+    types: {
+      getTypeParser: (oid, format) => (oid === types.builtins.INT8 ? (v) => (v === null ? null : Number(v)) : types.getTypeParser(oid, format))
+    }
+  });
+  const storage = createPostgresStorage(pool);
+  if (!migrate) return storage;
+  try {
+    await runPostgresMigrations(storage, { log });
+  } catch (e) {
+    await pool.end();
+    throw e;
+  }
+  return storage;
+}
+
+module.exports = { POSTGRES_MIGRATIONS_DIR, createPostgresStorage, postgresMigrationStatus, runPostgresMigrations, openPostgres };
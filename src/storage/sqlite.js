@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('../migrate');
+
+// Open (or create) a database and apply pending migrations; refuses if they cannot be applied.
+// Existing files are backed up to backupDir first. ":memory:" gives a throwaway database.
+function openDatabase(filename, { backupDir = null, log = () => {} } = {}) {
+  const inMemory = filename === ':memory:';
+  if (!inMemory) fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const isNew = inMemory || !fs.existsSync(filename);
+  const db = new Database(filename);
+  if (!inMemory) db.pragma('journal_mode = WAL');
+  runMigrations(db, { backupDir: isNew ? null : backupDir, log });
+  return db;
+}
+
+function bind(params) {
+  if (params === undefined) return [];
+  return Array.isArray(params) ? params : [params];
+}
+
+// Storage backend on a better-sqlite3 database (see ./index.js for the interface).
+// There is one connection, so transactions take turns: each waits for the one before it to
+// settle. Calls made outside a transaction wait as well while one is running, so they never
+// become part of another caller's transaction or get rolled back with it.
+function createSqliteStorage(db) {
+  const statements = new Map();
+  function prepare(sql) {
+    let stmt = statements.get(sql);
+    if (!stmt) {
+      stmt = db.prepare(sql);
+      statements.set(sql, stmt);
+    }
+    return stmt;
+  }
+
+  // Statements run at once; used inside a transaction, or outside one when none is running
+  const direct = {
+    get: async (sql, params) => prepare(sql).get(...bind(params)),
+    all: async (sql, params) => prepare(sql).all(...bind(params)),
+    run: async (sql, params) => ({ changes: prepare(sql).run(...bind(params)).changes }),
+    exec: async (sql) => {
+      db.exec(sql);
+    },
+    async each(sql, params, onRow) {
+      for (const row of prepare(sql).iterate(...bind(params))) onRow(row);
+    }
+  };
+
+  // Each transaction gets its own handle, on which nested calls become savepoints
+  async function within(fn, depth) {
+    const savepoint = `sp${depth}`;
+    db.exec(depth ? `SAVEPOINT ${savepoint}` : 'BEGIN');
+    const tx = { ...storage, ...direct, transaction: (inner) => within(inner, depth + 1) };
+    try {
+      const result = await fn(tx);
+      db.exec(depth ? `RELEASE ${savepoint}` : 'COMMIT');
+      return result;
+    } catch (e) {
+      // A failed COMMIT can leave the transaction open
+      if (db.inTransaction) db.exec(depth ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : 'ROLLBACK');
+      throw e;
+    }
+  }
+
+  let queue = Promise.resolve();
+  let pending = 0; // transactions running or waiting their turn
+  const whenIdle = (op) => (pending ? queue.then(op) : op());
+
+  const storage = {
+    dialect: 'sqlite',
+    get: (sql, params) => whenIdle(() => direct.get(sql, params)),
+    all: (sql, params) => whenIdle(() => direct.all(sql, params)),
+    run: (sql, params) => whenIdle(() => direct.run(sql, params)),
+    exec: (sql) => whenIdle(() => direct.exec(sql)),
+    each: (sql, params, onRow) => whenIdle(() => direct.each(sql, params, onRow)),
+    transaction(fn) {
+      pending += 1;
+      const result = queue.then(() => within(fn, 0));
+      queue = result.then(() => {}, () => {}).then(() => {
+        pending -= 1;
+      });
+      return result;
+    },
+    isUniqueViolation: (e) => e.code === 'SQLITE_CONSTRAINT_UNIQUE' || e.code === 'SQLITE_CONSTRAINT_PRIMARYKEY',
+    async close() {
+      db.close();
+    }
+  };
+  return storage;
+}
+
+module.exports = { openDatabase, createSqliteStorage };
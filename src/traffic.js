@@ -0,0 +1,63 @@
+// Classify a click as human, link-preview fetcher or other automated traffic
+
+const PREVIEW_PATTERNS = [
+  ['slack', /Slackbot-LinkExpanding|Slack-ImgProxy|Slackbot/i],
+  ['whatsapp', /WhatsApp/i],
+  ['facebook', /facebookexternalhit|Facebot|meta-externalagent/i],
+  ['twitter', /Twitterbot/i],
+  ['telegram', /TelegramBot/i],
+  ['discord', /Discordbot/i],
+  ['linkedin', /LinkedInBot/i],
+  ['skype', /SkypeUriPreview/i],
+  ['teams', /MicrosoftPreview/i],
+  ['iframely', /Iframely/i],
+  ['embedly', /Embedly/i],
+  ['reddit', /redditbot/i]
+];
+
+const BOT_RE = /bot\b|crawl|spider|slurp|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpx|go-http-client|okhttp|java\/|libwww|httpclient|axios\/|node-fetch|undici|headless|phantomjs|puppeteer|playwright|selenium|scrapy|lighthouse|monitor|uptime|check_http/i;
+
+// A second hit from the same address sooner than this is treated as scripted
+const BURST_MS = 1000;
+
+function createTrafficClassifier({ now = () => Date.now(), burstMs = BURST_MS } = {}) {
+  const lastSeen = new Map();
+
+  function sweep(t) {
+    for (const [key, at] of lastSeen) {
+      if (t - at > burstMs) lastSeen.delete(key);
+    }
+  }
+
+  // Returns { traffic_class: 'human' | 'preview' | 'bot', traffic_reason }
+  return function classify({ ip, userAgent, headers }) {
+    const t = now();
+    if (lastSeen.size > 10000) sweep(t);
+    const previous = ip ? lastSeen.get(ip) : undefined;
+    if (ip) lastSeen.set(ip, t);
+
+    const ua = userAgent || '';
+    for (const [name, re] of PREVIEW_PATTERNS) {
+      if (re.test(ua)) return { traffic_class: 'preview', traffic_reason: `ua:${name}` };
+    }
+    if (!ua) return { traffic_class: 'bot', traffic_reason: 'missing_user_agent' };
+    if (BOT_RE.test(ua)) return { traffic_class: 'bot', traffic_reason: 'ua' };
+    // Browsers always send Accept and Accept-Language on navigation
+    if (!headers.accept || !headers['accept-language']) return { traffic_class: 'bot', traffic_reason: 'missing_headers' };
+    if (previous !== undefined && t - previous < burstMs) return { traffic_class: 'bot', traffic_reason: 'burst' };
+    return { traffic_class: 'human', traffic_reason: null };
+  };
+}
+
+// Query-string filter shared by listings and stats: human (default), bot, preview or all.
+// Rows from before classification existed count as human.
+const TRAFFIC_FILTERS = ['human', 'bot', 'preview', 'all'];
+const TRAFFIC_SQL = `(@traffic = 'all' OR COALESCE(traffic_class, 'human') = @traffic)`;
+
+function parseTrafficFilter(value) {
+  const v = Array.isArray(value) ? value[0] : value;
+  if (v === undefined || v === '') return 'human';
+  return TRAFFIC_FILTERS.includes(v) ? v : null;
+}
+
+module.exports = { createTrafficClassifier, TRAFFIC_FILTERS, TRAFFIC_SQL, parseTrafficFilter };
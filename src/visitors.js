@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// Unique-visitor hashing with a random salt per UTC day. Salts for past days are
+// deleted, so yesterday's hashes can no longer be linked to an address.
+function createVisitorHasher(storage) {
+  let cached = { day: null, salt: null };
+
+  // Every instance sharing the database agrees on the salt: the first to insert wins
+  const saltFor = (day) => storage.transaction(async (tx) => {
+    await tx.run(`DELETE FROM visitor_salts WHERE day < ?`, [day]);
+    await tx.run(`INSERT INTO visitor_salts (day, salt) VALUES (?, ?) ON CONFLICT (day) DO NOTHING`,
+      [day, crypto.randomBytes(32).toString('hex')]);
+    return (await tx.get(`SELECT salt FROM visitor_salts WHERE day = ?`, [day])).salt;
+  });
+
+  return async function visitorHash(ip, userAgent, date = new Date()) {
+    if (!ip) return null;
+    const day = date.toISOString().slice(0, 10);
+    if (cached.day !== day) cached = { day, salt: await saltFor(day) };
+    return crypto
+      .createHmac('sha256', cached.salt)
+      .update(`${ip}|${userAgent || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+  };
+}
+
+module.exports = { createVisitorHasher };
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, browser, login } = require('./helpers');
+
+test('/admin', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const visitor = ctx.client();
+  await visitor.get('/track', { headers: browser(1, { referer: 'https://news.example/<script>' }) });
+  const human = ctx.lastClick();
+  await visitor.get('/track', { headers: { 'user-agent': 'Slackbot-LinkExpanding 1.0', 'x-forwarded-for': '203.0.113.2' } });
+  const preview = ctx.lastClick();
+
+  await t.test('sends anonymous visitors to the login page', async () => {
+    const res = await ctx.client().get('/admin');
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), '/login?next=%2Fadmin');
+  });
+
+  await t.test('rejects a wrong password', async () => {
+    await assert.rejects(login(ctx, { password: 'not-the-password' }), /login failed with 401/);
+  });
+
+  await t.test('lists human clicks by default, escaped', async () => {
+    const { client } = await login(ctx);
+    const res = await client.get('/admin');
+    assert.equal(res.status, 200);
+    assert.ok(res.body.includes(human.id));
+    assert.ok(!res.body.includes(preview.id));
+    assert.ok(res.body.includes('https://news.example/&lt;script&gt;'));
+    assert.match(res.body, /Unique visitors today: 1/);
+  });
+
+  await t.test('filters by traffic class', async () => {
+    const { client } = await login(ctx);
+    const res = await client.get('/admin?traffic=preview');
+    assert.ok(res.body.includes(preview.id));
+    assert.ok(res.body.includes('preview: ua:slack'));
+    assert.ok(!res.body.includes(human.id));
+  });
+
+  await t.test('viewers can read but not manage users', async () => {
+    const { auth } = ctx.app.locals.tracker;
+    await auth.createUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+    const { client } = await login(ctx, { username: 'viewer', password: 'viewer-password' });
+    assert.equal((await client.get('/admin')).status, 200);
+    assert.equal((await client.get('/admin/users')).status, 403);
+  });
+
+  await t.test('shows validation messages when adding users, and nothing from the database', async () => {
+    const { client, csrf } = await login(ctx);
+    const short = await client.post('/admin/users', { form: { _csrf: csrf, username: 'new-user', password: 'short', role: 'viewer' } });
+    assert.equal(short.headers.get('location'), `/admin/users?error=${encodeURIComponent('Password must be at least 10 characters')}`);
+    ctx.db.exec('ALTER TABLE users RENAME COLUMN password_hash TO hidden_hash');
+    const failed = await client.post('/admin/users', { form: { _csrf: csrf, username: 'new-user', password: 'long-enough-password', role: 'viewer' } });
+    ctx.db.exec('ALTER TABLE users RENAME COLUMN hidden_hash TO password_hash');
+    assert.equal(failed.status, 500);
+    assert.doesNotMatch(failed.body, /password_hash|no column/);
+  });
+
+  await t.test('state changes need the session CSRF token', async () => {
+    const { client, csrf } = await login(ctx);
+    const forged = await client.post('/admin/links', { form: { destination: 'https://allowed.example/' } });
+    assert.equal(forged.status, 403);
+    const res = await client.post('/admin/links', { form: { _csrf: csrf, slug: 'from-form', destination: 'https://allowed.example/' } });
+    assert.equal(res.status, 303);
+    assert.equal((await ctx.app.locals.tracker.links.list())[0].slug, 'from-form');
+    assert.match((await client.get('/admin/links')).body, /<td>0<\/td>/);
+  });
+
+  await t.test('API tokens cannot create, list or revoke tokens', async () => {
+    const { auth } = ctx.app.locals.tracker;
+    const token = await auth.createApiToken(ctx.admin, { name: 'reader', scopes: ['clicks:read'] });
+    const headers = { authorization: `Bearer ${token}` };
+    const client = ctx.client();
+    const minted = await client.post('/admin/tokens', { headers, form: { name: 'escalated', scopes: 'clicks:export:full' } });
+    assert.equal(minted.status, 403);
+    assert.equal((await client.get('/admin/tokens', { headers })).status, 403);
+    assert.equal((await client.post('/admin/tokens/1/revoke', { headers })).status, 403);
+    assert.equal(ctx.db.prepare(`SELECT COUNT(*) AS n FROM api_tokens WHERE name = 'escalated' OR revoked_at IS NOT NULL`).get().n, 0);
+  });
+
+  await t.test('new tokens get at most the scopes of the credential creating them', async () => {
+    const { auth } = ctx.app.locals.tracker;
+    await assert.rejects(
+      auth.createApiToken(ctx.admin, { name: 'narrowed', scopes: ['clicks:export:full'], allowedScopes: ['clicks:read'] }),
+      /Scope "clicks:export:full" is not available/
+    );
+    const { client, csrf } = await login(ctx, { username: 'viewer', password: 'viewer-password' });
+    const refused = await client.post('/admin/tokens', { form: { _csrf: csrf, name: 'viewer-full', scopes: 'clicks:export:full' } });
+    assert.equal(refused.status, 400);
+    const created = await client.post('/admin/tokens', { form: { _csrf: csrf, name: 'viewer-read', scopes: 'clicks:read' } });
+    assert.equal(created.status, 201);
+    assert.equal(ctx.db.prepare(`SELECT scopes FROM api_tokens WHERE name = 'viewer-read'`).get().scopes, 'clicks:read');
+  });
+});
+
+test('/admin search, detail view and presets', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const visitor = ctx.client();
+  const ids = [];
+  for (let i = 1; i <= 3; i++) {
+    await visitor.get('/track', { headers: browser(i, { referer: `https://ref${i}.example/page` }) });
+    ids.push(ctx.lastClick().id);
+  }
+  const set = ctx.db.prepare(`UPDATE clicks SET created_at = ?, approx_country = ?, consent_version = ? WHERE id = ?`);
+  set.run('2024-03-01T10:00:00.000Z', 'DE', 'v1', ids[0]);
+  set.run('2024-03-02T10:00:00.000Z', 'FR', null, ids[1]);
+  set.run('2024-03-03T10:00:00.000Z', 'DE', null, ids[2]);
+  const { client, csrf } = await login(ctx);
+  const listed = (body) => ids.filter((id) => body.includes(id));
+
+  await t.test('filters by date range, country, consent, referrer and free text', async () => {
+    assert.deepEqual(listed((await client.get('/admin?from=2024-03-02&to=2024-03-02')).body), [ids[1]]);
+    assert.deepEqual(listed((await client.get('/admin?country=de')).body), [ids[0], ids[2]]);
+    assert.deepEqual(listed((await client.get('/admin?consent=yes')).body), [ids[0]]);
+    assert.deepEqual(listed((await client.get('/admin?consent=no&country=DE')).body), [ids[2]]);
+    assert.deepEqual(listed((await client.get('/admin?referrer=ref2.example')).body), [ids[1]]);
+    assert.deepEqual(listed((await client.get('/admin?q=ref3')).body), [ids[2]]);
+    assert.deepEqual(listed((await client.get('/admin?q=100%25')).body), []);
+  });
+
+  await t.test('sorts and pages on the server', async () => {
+    const page1 = await client.get('/admin?per_page=25&sort=created_at&dir=asc');
+    assert.ok(page1.body.indexOf(ids[0]) < page1.body.indexOf(ids[2]));
+    assert.match(page1.body, /1–3 of 3/);
+    const byCountry = await client.get('/admin?sort=country&dir=asc');
+    assert.ok(byCountry.body.indexOf(ids[2]) < byCountry.body.indexOf(ids[1]));
+    const second = await client.get('/admin?per_page=25&page=2');
+    assert.match(second.body, /1–3 of 3/);
+    assert.match(second.body, /page 1 of 1/);
+    // Unknown page sizes fall back to the default rather than failing
+    const odd = await client.get('/admin?per_page=7&page=x');
+    assert.equal(odd.status, 200);
+    assert.equal(listed(odd.body).length, 3);
+  });
+
+  await t.test('shows everything stored for a click', async () => {
+    ctx.db.prepare(`INSERT INTO geo_rejections (created_at, click_id, reason, detail) VALUES (?, ?, 'no_consent', NULL)`)
+      .run(new Date().toISOString(), ids[1]);
+    const res = await client.get(`/admin/clicks/${ids[1]}`);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.includes('https://ref2.example/page'));
+    assert.ok(res.body.includes('no_consent'));
+    assert.equal((await client.get('/admin/clicks/does-not-exist')).status, 404);
+  });
+
+  await t.test('saves, lists and deletes presets per user', async () => {
+    const forged = await client.post('/admin/presets', { form: { name: 'Germany', query: 'country=DE' } });
+    assert.equal(forged.status, 403);
+    const saved = await client.post('/admin/presets', { form: { _csrf: csrf, name: 'Germany', query: 'country=de&page=4&bogus=1' } });
+    assert.equal(saved.status, 303);
+    assert.equal(saved.headers.get('location'), '/admin?country=DE');
+    const page = await client.get('/admin');
+    assert.ok(page.body.includes('href="/admin?country=DE">Germany</a>'));
+
+    const { auth } = ctx.app.locals.tracker;
+    await auth.createUser({ username: 'other', password: 'other-password', role: 'viewer' });
+    const other = await login(ctx, { username: 'other', password: 'other-password' });
+    assert.ok(!(await other.client.get('/admin')).body.includes('>Germany</a>'));
+
+    assert.equal((await client.post('/admin/presets', { form: { _csrf: csrf, name: ' ', query: '' } })).status, 400);
+    const id = ctx.db.prepare(`SELECT id FROM admin_presets WHERE name = 'Germany'`).get().id;
+    assert.equal((await other.client.post(`/admin/presets/${id}/delete`, { form: { _csrf: other.csrf } })).status, 303);
+    assert.ok(ctx.db.prepare(`SELECT 1 FROM admin_presets WHERE id = ?`).get(id));
+    await client.post(`/admin/presets/${id}/delete`, { form: { _csrf: csrf } });
+    assert.equal(ctx.db.prepare(`SELECT 1 FROM admin_presets WHERE id = ?`).get(id), undefined);
+  });
+});
@@ -0,0 +1,260 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, browser, login } = require('./helpers');
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+test('/api/logs', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const { auth } = ctx.app.locals.tracker;
+  const readToken = await auth.createApiToken(ctx.admin, { name: 'reader', scopes: ['clicks:read'] });
+  const statsToken = await auth.createApiToken(ctx.admin, { name: 'stats', scopes: ['stats:read'] });
+
+  const visitor = ctx.client();
+  for (let i = 1; i <= 3; i++) await visitor.get('/track', { headers: browser(i) });
+  await visitor.get('/track', { headers: { 'user-agent': 'curl/8.0', 'x-forwarded-for': '203.0.113.9' } });
+
+  await t.test('requires a token or session with clicks:read', async () => {
+    const client = ctx.client();
+    assert.equal((await client.get('/api/logs')).status, 401);
+    assert.equal((await client.get('/api/logs', { headers: bearer(statsToken) })).status, 403);
+    assert.equal((await client.get('/api/logs', { headers: bearer('th_unknown') })).status, 401);
+  });
+
+  await t.test('returns human clicks, newest first', async () => {
+    const res = await ctx.client().get('/api/logs', { headers: bearer(readToken) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.traffic, 'human');
+    // Clicks within the same millisecond may come back in either order
+    assert.deepEqual(res.body.data.map((r) => r.ip).sort(), ['203.0.113.1', '203.0.113.2', '203.0.113.3']);
+    const times = res.body.data.map((r) => r.created_at);
+    assert.deepEqual(times, [...times].sort().reverse());
+    const [first] = res.body.data;
+    assert.equal(first.best_coords.source, 'ip');
+    assert.equal(first.ip_source, 'x-forwarded-for');
+    assert.equal(first.minimized, false);
+  });
+
+  await t.test('pages with limit and offset and filters by traffic', async () => {
+    const client = ctx.client();
+    const first = await client.get('/api/logs?limit=2', { headers: bearer(readToken) });
+    const page = await client.get('/api/logs?limit=2&offset=2', { headers: bearer(readToken) });
+    assert.equal(first.body.data.length, 2);
+    assert.equal(page.body.data.length, 1);
+    assert.equal(page.body.limit, 2);
+    assert.equal(page.body.offset, 2);
+    assert.ok(!first.body.data.some((r) => r.id === page.body.data[0].id));
+
+    const bots = await client.get('/api/logs?traffic=bot', { headers: bearer(readToken) });
+    assert.deepEqual(bots.body.data.map((r) => r.traffic_reason), ['ua']);
+
+    const all = await client.get('/api/logs?traffic=all', { headers: bearer(readToken) });
+    assert.equal(all.body.data.length, 4);
+
+    assert.equal((await client.get('/api/logs?traffic=robots', { headers: bearer(readToken) })).status, 400);
+  });
+});
+
+test('/api/logs with IP_MODE=pseudonymized', async (t) => {
+  const ctx = await startApp({ IP_MODE: 'pseudonymized' });
+  t.after(() => ctx.close());
+  const token = await ctx.app.locals.tracker.auth.createApiToken(ctx.admin, { name: 'reader', scopes: ['clicks:read'] });
+
+  await ctx.client().get('/track', { headers: browser(77) });
+  assert.equal(ctx.lastClick().ip, '203.0.113.0');
+  const res = await ctx.client().get('/api/logs', { headers: bearer(token) });
+  assert.equal(res.body.data[0].ip, '203.0.113.0');
+});
+
+test('/api/last', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const client = ctx.client();
+  const { auth } = ctx.app.locals.tracker;
+  const headers = bearer(await auth.createApiToken(ctx.admin, { name: 'reader', scopes: ['clicks:read'] }));
+  const statsToken = await auth.createApiToken(ctx.admin, { name: 'stats', scopes: ['stats:read'] });
+
+  await t.test('requires a token or session with clicks:read', async () => {
+    assert.equal((await client.get('/api/last')).status, 401);
+    assert.equal((await client.get('/api/last', { headers: bearer(statsToken) })).status, 403);
+  });
+
+  await t.test('is null before the first click', async () => {
+    const res = await client.get('/api/last', { headers });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, data: null });
+  });
+
+  await t.test('returns the latest click with its best coordinates', async () => {
+    await client.get('/track', { headers: browser(1) });
+    const latest = ctx.lastClick();
+    const ipOnly = await client.get('/api/last', { headers });
+    assert.equal(ipOnly.body.data.id, latest.id);
+    assert.equal(ipOnly.body.data.ip, '203.0.113.1');
+    assert.equal(ipOnly.body.data.coords.source, 'ip');
+
+    ctx.db.prepare(`UPDATE clicks SET precise_lat = 1.5, precise_lon = 2.5, precise_accuracy_m = 10 WHERE id = ?`).run(latest.id);
+    const precise = await client.get('/api/last', { headers });
+    assert.deepEqual(precise.body.data.coords, { lat: 1.5, lon: 2.5, accuracy_m: 10, source: 'browser' });
+  });
+});
+
+test('/api/export', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const { auth } = ctx.app.locals.tracker;
+  const viewer = await auth.createUser({ username: 'analyst', password: 'analyst-password', role: 'viewer' });
+  const analystToken = await auth.createApiToken(viewer, { name: 'export', scopes: ['clicks:export'] });
+  const fullToken = await auth.createApiToken(ctx.admin, { name: 'full', scopes: ['clicks:export', 'clicks:export:full'] });
+  const readToken = await auth.createApiToken(ctx.admin, { name: 'reader', scopes: ['clicks:read'] });
+
+  const visitor = ctx.client();
+  for (let i = 1; i <= 3; i++) await visitor.get('/track', { headers: browser(i, { referer: '=HYPERLINK("https://evil.example")' }) });
+  const first = ctx.lastClick();
+  ctx.db.prepare(`UPDATE clicks SET approx_lat = 52.5163, approx_lon = 13.3777, device_platform = 'Linux' WHERE id = ?`).run(first.id);
+  const range = `from=${new Date(Date.now() - 60000).toISOString()}&to=${new Date(Date.now() + 60000).toISOString()}`;
+
+  await t.test('needs clicks:export, and clicks:export:full for the full profile', async () => {
+    const client = ctx.client();
+    assert.equal((await client.get(`/api/export?${range}`)).status, 401);
+    assert.equal((await client.get(`/api/export?${range}`, { headers: bearer(readToken) })).status, 403);
+    assert.equal((await client.get(`/api/export?${range}&profile=full`, { headers: bearer(analystToken) })).status, 403);
+    assert.equal((await client.get(`/api/export?${range}&profile=raw`, { headers: bearer(fullToken) })).status, 400);
+    assert.equal((await client.get(`/api/export?${range}&format=xml`, { headers: bearer(fullToken) })).status, 400);
+    assert.equal((await client.get('/api/export?from=2024-02-01&to=2024-01-01', { headers: bearer(fullToken) })).status, 400);
+    await assert.rejects(auth.createApiToken(viewer, { name: 'x', scopes: ['clicks:export:full'] }), /not available/);
+  });
+
+  await t.test('analyst CSV leaves out addresses and device fields and rounds coordinates', async () => {
+    const res = await ctx.client().get(`/api/export?${range}`, { headers: bearer(analystToken) });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="clicks-.*-analyst\.csv"/);
+    const [header, ...lines] = res.body.trim().split('\r\n');
+    const columns = header.split(',');
+    assert.equal(lines.length, 3);
+    for (const c of ['ip', 'ip_chain', 'visitor_hash', 'user_agent', 'device_platform']) assert.ok(!columns.includes(c), c);
+    const row = lines.find((l) => l.startsWith(first.id)).split(',');
+    assert.equal(row[columns.indexOf('approx_lat')], '52.5');
+    assert.equal(row[columns.indexOf('approx_lon')], '13.4');
+    // Formula-like values are neutralised and quoted
+    assert.ok(lines[0].includes(`"'=HYPERLINK(""https://evil.example"")"`));
+  });
+
+  await t.test('full NDJSON has every column', async () => {
+    const res = await ctx.client().get(`/api/export?${range}&profile=full&format=ndjson&traffic=all`, { headers: bearer(fullToken) });
+    assert.equal(res.status, 200);
+    const rows = res.body.trim().split('\n').map((l) => JSON.parse(l));
+    assert.deepEqual(rows.map((r) => r.ip).sort(), ['203.0.113.1', '203.0.113.2', '203.0.113.3']);
+    const row = rows.find((r) => r.id === first.id);
+    assert.equal(row.approx_lat, 52.5163);
+    assert.equal(row.device_platform, 'Linux');
+  });
+
+  await t.test('streams keyset batches without skipping rows', async () => {
+    const { streamExport } = require('../src/export');
+    const { createClickStore } = require('../src/clicks');
+    const { PassThrough } = require('node:stream');
+    const out = new PassThrough();
+    let text = '';
+    out.on('data', (chunk) => { text += chunk; });
+    const count = await streamExport(out, {
+      clicks: createClickStore(ctx.storage), profile: 'full', format: 'ndjson', traffic: 'all', ipMode: 'full', batchSize: 1,
+      from: '2000-01-01T00:00:00.000Z', to: '2100-01-01T00:00:00.000Z'
+    });
+    assert.equal(count, 3);
+    assert.equal(new Set(text.trim().split('\n').map((l) => JSON.parse(l).id)).size, 3);
+  });
+
+  await t.test('stops when the client goes away while a batch is read', async () => {
+    const { streamExport } = require('../src/export');
+    const { createClickStore } = require('../src/clicks');
+    const { PassThrough } = require('node:stream');
+    // Nothing reads from it, so it never drains
+    const out = new PassThrough({ highWaterMark: 1 });
+    const store = createClickStore(ctx.storage);
+    const clicks = {
+      exportBatch: async (args) => {
+        const rows = await store.exportBatch(args);
+        out.destroy();
+        await new Promise((resolve) => out.once('close', resolve));
+        return rows;
+      }
+    };
+    await assert.rejects(streamExport(out, {
+      clicks, profile: 'full', format: 'ndjson', traffic: 'all', ipMode: 'full', batchSize: 1,
+      from: '2000-01-01T00:00:00.000Z', to: '2100-01-01T00:00:00.000Z'
+    }), /client disconnected/);
+  });
+
+  await t.test('records who exported what', async () => {
+    assert.equal((await ctx.client().get('/api/exports', { headers: bearer(fullToken) })).status, 403);
+    const { client } = await login(ctx);
+    const res = await client.get('/api/exports');
+    assert.equal(res.status, 200);
+    const log = res.body.data;
+    assert.deepEqual(log.map((e) => [e.username, e.profile, e.format, e.row_count]), [
+      ['admin', 'full', 'ndjson', 3],
+      ['analyst', 'analyst', 'csv', 3]
+    ]);
+    assert.ok(log.every((e) => e.token_id && e.finished_at && !e.error));
+  });
+});
+
+test('/api/campaigns', async (t) => {
+  const ctx = await startApp({ STATS_MIN_COUNT: '2' });
+  t.after(() => ctx.close());
+  const { auth } = ctx.app.locals.tracker;
+  const statsToken = await auth.createApiToken(ctx.admin, { name: 'stats', scopes: ['stats:read'] });
+  const readToken = await auth.createApiToken(ctx.admin, { name: 'read', scopes: ['clicks:read'] });
+
+  const visitor = ctx.client();
+  const clicks = [
+    ['spring', 'newsletter', 'email'], ['spring', 'newsletter', 'email'], ['spring', 'ads', 'cpc'],
+    ['summer', 'ads', 'cpc'], [null, null, null], [null, null, null]
+  ];
+  for (const [i, [campaign, source, medium]] of clicks.entries()) {
+    const qs = campaign ? `?utm_campaign=${campaign}&utm_source=${source}&utm_medium=${medium}` : '';
+    await visitor.get(`/track${qs}`, { headers: browser(i + 1) });
+  }
+
+  await t.test('requires stats:read', async () => {
+    assert.equal((await ctx.client().get('/api/campaigns')).status, 401);
+    assert.equal((await ctx.client().get('/api/campaigns', { headers: bearer(readToken) })).status, 403);
+  });
+
+  await t.test('reports clicks, visitors, sources and countries per campaign with small counts suppressed', async () => {
+    const res = await ctx.client().get('/api/campaigns', { headers: bearer(statsToken) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.k, 2);
+    const [spring, none, summer] = res.body.data.campaigns;
+    assert.equal(spring.campaign, 'spring');
+    assert.equal(spring.clicks, 3);
+    assert.equal(spring.unique_visitors, 3);
+    // One hidden source would be 3 minus the others, so the next smallest is hidden too
+    assert.deepEqual(spring.sources, [{ key: 'newsletter / email', clicks: null, suppressed: true }, { key: 'other', clicks: null, suppressed: true }]);
+    assert.deepEqual(spring.countries, [{ key: '(unknown)', clicks: 3 }]);
+    // Likewise for summer's single click and the 2 without a campaign
+    assert.deepEqual(none, { campaign: null, clicks: null, unique_visitors: null, suppressed: true });
+    assert.deepEqual(summer, { campaign: 'summer', clicks: null, unique_visitors: null, suppressed: true });
+  });
+
+  await t.test('rejects a bad range', async () => {
+    const res = await ctx.client().get('/api/campaigns?from=2024-05-02&to=2024-05-01', { headers: bearer(statsToken) });
+    assert.equal(res.status, 400);
+  });
+
+  await t.test('is shown on /admin/campaigns', async () => {
+    const { client } = await login(ctx);
+    const page = await client.get('/admin/campaigns');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<a href="\/admin\?campaign=spring&amp;traffic=human">spring<\/a>/);
+    assert.match(page.body, /newsletter \/ email: &lt; 2/);
+    assert.match(page.body, /not shown \(small counts\)/);
+    const filtered = await client.get('/admin?campaign=spring');
+    assert.match(filtered.body, /1–3 of 3/);
+  });
+});
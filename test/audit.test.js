@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, browser, login } = require('./helpers');
+
+test('audit log', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const { auth } = ctx.app.locals.tracker;
+  const viewer = await auth.createUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+  const token = await auth.createApiToken(viewer, { name: 'reader', scopes: ['clicks:read', 'stats:read'] });
+  const headers = { authorization: `Bearer ${token}` };
+  await ctx.client().get('/track', { headers: browser(1) });
+  const click = ctx.lastClick();
+  const events = () => ctx.db.prepare(`SELECT actor, via, token_id, route, filters, row_count FROM audit_events ORDER BY id`).all();
+
+  await t.test('records every read of click data with actor, route, filters and row count', async () => {
+    const { client } = await login(ctx, { username: 'viewer', password: 'viewer-password' });
+    const before = events().length;
+    await client.get('/admin?country=de');
+    await client.get(`/admin/clicks/${click.id}`);
+    const api = ctx.client();
+    await api.get('/api/logs?limit=5', { headers });
+    await api.get('/api/last', { headers });
+    await api.get('/api/stats?bucket=hour', { headers });
+    // Refused requests read nothing and are not recorded
+    await api.get('/api/logs');
+
+    const log = events().slice(before);
+    assert.deepEqual(log.map((e) => [e.actor, e.via, e.route, e.row_count]), [
+      ['viewer', 'session', 'GET /admin', 0],
+      ['viewer', 'session', 'GET /admin/clicks/:id', 1],
+      ['viewer', 'token', 'GET /api/logs', 1],
+      ['viewer', 'token', 'GET /api/last', 1],
+      ['viewer', 'token', 'GET /api/stats', null]
+    ]);
+    assert.equal(JSON.parse(log[0].filters).country, 'DE');
+    assert.deepEqual(JSON.parse(log[2].filters), { limit: 5, offset: 0, traffic: 'human' });
+    assert.ok(log[2].token_id);
+  });
+
+  await t.test('cannot be edited or deleted', () => {
+    assert.throws(() => ctx.db.prepare(`UPDATE audit_events SET actor = 'someone-else'`).run(), /append-only/);
+    assert.throws(() => ctx.db.prepare(`DELETE FROM audit_events`).run(), /append-only/);
+    assert.ok(events().every((e) => e.actor === 'viewer'));
+  });
+
+  await t.test('is reviewed by admins at /admin/audit', async () => {
+    const asViewer = await login(ctx, { username: 'viewer', password: 'viewer-password' });
+    assert.equal((await asViewer.client.get('/admin/audit')).status, 403);
+
+    const { client } = await login(ctx);
+    const all = await client.get('/admin/audit');
+    assert.equal(all.status, 200);
+    assert.ok(all.body.includes('<code>GET /api/last</code>'));
+    // /admin?country=de matched nothing: a count of 0, not a blank like the aggregate routes
+    assert.match(all.body, /<code>GET \/admin<\/code><\/td>\s*<td><code>[^<]*<\/code><\/td>\s*<td>0<\/td>/);
+    const narrowed = await client.get(`/admin/audit?route=${encodeURIComponent('GET /api/stats')}`);
+    assert.ok(narrowed.body.includes('<code>GET /api/stats</code>'));
+    assert.ok(!narrowed.body.includes('<code>GET /api/last</code>'));
+    assert.match(narrowed.body, /1 events/);
+  });
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signGeoToken } = require('../src/geoupdate');
+const { startApp, browser } = require('./helpers');
+
+// Open an image-mode click and return its client, click id, token and consent version
+async function openImageClick(ctx, n, extraHeaders) {
+  const client = ctx.client();
+  const page = await client.get('/track?u=view-transaction', { headers: browser(n, extraHeaders) });
+  return {
+    client,
+    cid: client.cookies.get('cid'),
+    token: /var GEO_TOKEN = "([^"]+)"/.exec(page.body)[1],
+    version: /var CONSENT_VERSION = "([^"]+)"/.exec(page.body)[1]
+  };
+}
+
+function rejections(ctx, cid) {
+  return ctx.db.prepare(`SELECT reason FROM geo_rejections WHERE click_id = ? ORDER BY id`).all(cid).map((r) => r.reason);
+}
+
+test('/api/geo', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+
+  await t.test('stores one update after consent', async () => {
+    const { client, cid, token, version } = await openImageClick(ctx, 1);
+    const consent = await client.post('/api/consent', { json: { version, token } });
+    assert.equal(consent.status, 200);
+
+    const timestamp = Date.now();
+    const payload = {
+      token,
+      lat: 52.52,
+      lon: 13.405,
+      accuracy: 25,
+      timestamp,
+      consented: true,
+      platform: 'Linux x86_64',
+      languages: ['en-US', 'de'],
+      timezone: 'Europe/Berlin',
+      hardwareConcurrency: 8,
+      screenW: 1920,
+      screenH: 1080
+    };
+    const res = await client.post('/api/geo', { json: payload });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+
+    const row = ctx.click(cid);
+    assert.equal(row.precise_lat, 52.52);
+    assert.equal(row.precise_lon, 13.405);
+    assert.equal(row.precise_accuracy_m, 25);
+    assert.equal(row.precise_timestamp, new Date(timestamp).toISOString());
+    assert.equal(row.consented, 1);
+    assert.equal(row.device_languages, 'en-US,de');
+    assert.ok(row.geo_submitted_at);
+
+    const again = await client.post('/api/geo', { json: { ...payload, lat: 0, lon: 0 } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.reason, 'already_submitted');
+    assert.equal(ctx.click(cid).precise_lat, 52.52);
+    assert.deepEqual(rejections(ctx, cid), ['already_submitted']);
+  });
+
+  await t.test('requires consent to the current text', async () => {
+    const { client, cid, token } = await openImageClick(ctx, 2);
+    const res = await client.post('/api/geo', { json: { token, lat: 1, lon: 2 } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.reason, 'no_consent');
+    assert.equal(ctx.click(cid).precise_lat, null);
+  });
+
+  await t.test('rejects invalid payloads with the reason recorded', async () => {
+    const { client, cid, token, version } = await openImageClick(ctx, 3);
+    await client.post('/api/consent', { json: { version, token } });
+    const cases = [
+      [{ token, lat: 91, lon: 0 }, /"lat" must be/],
+      [{ token, lat: 1 }, /sent together/],
+      [{ token, lat: 1, lon: 2, accuracy: 0 }, /"accuracy" must be greater than 0/],
+      [{ token, timestamp: 'yesterday' }, /"timestamp" must be an integer/],
+      [{ token, timestamp: Date.now() - 3 * 24 * 60 * 60 * 1000 }, /within a day/],
+      [{ token, platform: 'x'.repeat(65) }, /at most 64 characters/],
+      [{ token, languages: Array(9).fill('en') }, /at most 8 items/],
+      [{ token, extra: 1 }, /Unknown field "extra"/],
+      [[token], /JSON object/]
+    ];
+    for (const [body, message] of cases) {
+      const res = await client.post('/api/geo', { json: body });
+      assert.equal(res.status, 400, JSON.stringify(body));
+      assert.equal(res.body.reason, 'invalid_payload');
+      assert.match(res.body.error, message);
+    }
+    assert.equal(ctx.click(cid).geo_submitted_at, null);
+    assert.equal(rejections(ctx, cid).length, cases.length);
+  });
+
+  await t.test('rejects missing, foreign and expired tokens', async () => {
+    const first = await openImageClick(ctx, 4);
+    const second = await openImageClick(ctx, 5);
+    await first.client.post('/api/consent', { json: { version: first.version, token: first.token } });
+
+    const missing = await first.client.post('/api/geo', { json: { lat: 1, lon: 2 } });
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.reason, 'bad_token');
+
+    // A token is only good for the click it was issued with
+    const foreign = await first.client.post('/api/geo', { json: { token: second.token, lat: 1, lon: 2 } });
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.body.reason, 'bad_token');
+
+    const expired = signGeoToken(ctx.config.geoTokenKey, first.cid, new Date(Date.now() - 1000));
+    const late = await first.client.post('/api/geo', { json: { token: expired, lat: 1, lon: 2 } });
+    assert.equal(late.status, 410);
+    assert.equal(late.body.reason, 'window_closed');
+
+    assert.deepEqual(rejections(ctx, first.cid), ['bad_token', 'bad_token', 'window_closed']);
+  });
+
+  await t.test('refuses requests without a click or with DNT', async () => {
+    const anonymous = await ctx.client().post('/api/geo', { json: { lat: 1, lon: 2 } });
+    assert.equal(anonymous.status, 400);
+    assert.equal(anonymous.body.reason, 'missing_cid');
+
+    const { client, token } = await openImageClick(ctx, 6);
+    const res = await client.post('/api/geo', { json: { token }, headers: { 'sec-gpc': '1' } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.reason, 'privacy_signal');
+  });
+
+  await t.test('never records consent on a DNT click, even once the header is gone', async () => {
+    await ctx.client().get('/track?u=view-transaction', { headers: browser(7, { dnt: '1' }) });
+    const { id } = ctx.lastClick();
+    const client = ctx.client();
+    client.cookies.set('cid', id);
+    const token = signGeoToken(ctx.config.geoTokenKey, id, new Date(Date.now() + 60000));
+    const version = ctx.config.consent.version;
+    const res = await client.post('/api/consent', { json: { version, token }, headers: { 'x-forwarded-for': '203.0.113.7' } });
+    assert.equal(res.status, 403);
+    const row = ctx.click(id);
+    assert.equal(row.consent_version, null);
+    assert.equal(row.consent_at, null);
+  });
+});
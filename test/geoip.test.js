@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../src/config');
+const { createLogger } = require('../src/log');
+const { createMaxmindProvider, createNoopProvider, createGeoLookup } = require('../src/geo');
+const { writeMmdb } = require('./mmdb');
+const { startApp, browser, login } = require('./helpers');
+
+const BERLIN = {
+  country: { iso_code: 'DE', names: { en: 'Germany' } },
+  subdivisions: [{ iso_code: 'BE', names: { en: 'Berlin' } }],
+  city: { names: { en: 'Berlin' } },
+  location: { latitude: 52.52, longitude: 13.405, accuracy_radius: 20 }
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-geoip-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function writeCity(file, { buildEpoch, place = BERLIN } = {}) {
+  writeMmdb(file, { databaseType: 'GeoLite2-City', buildEpoch, networks: [['198.51.100.0/24', place]] });
+}
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test('createGeoLookup', async (t) => {
+  const provider = {
+    name: 'stub',
+    version: () => 'v1',
+    lookup: () => ({ country: 'DE', region: 'BE', city: 'Berlin', lat: 52.52, lon: 13.405, accuracy_km: 20, asn: 64500, as_org: 'Example Net' })
+  };
+
+  await t.test('stores everything at city granularity, with the provider and version', () => {
+    assert.deepEqual(createGeoLookup({ provider, granularity: 'city' })('198.51.100.7'), {
+      approx_country: 'DE',
+      approx_region: 'BE',
+      approx_city: 'Berlin',
+      approx_lat: 52.52,
+      approx_lon: 13.405,
+      approx_accuracy_km: 20,
+      approx_asn: 64500,
+      approx_as_org: 'Example Net',
+      geo_provider: 'stub',
+      geo_db_version: 'v1'
+    });
+  });
+
+  await t.test('drops the city and its coordinates at region granularity', () => {
+    const geo = createGeoLookup({ provider, granularity: 'region' })('198.51.100.7');
+    assert.equal(geo.approx_region, 'BE');
+    assert.equal(geo.approx_city, null);
+    assert.equal(geo.approx_lat, null);
+    assert.equal(geo.approx_accuracy_km, null);
+  });
+
+  await t.test('keeps only the country at country granularity', () => {
+    const geo = createGeoLookup({ provider, granularity: 'country' })('198.51.100.7');
+    assert.equal(geo.approx_country, 'DE');
+    assert.equal(geo.approx_region, null);
+    assert.equal(geo.approx_city, null);
+  });
+
+  await t.test('answers unknown when the provider throws or there is no address', () => {
+    const failing = { ...provider, lookup: () => { throw new Error('bad address'); } };
+    assert.equal(createGeoLookup({ provider: failing })('nonsense').approx_country, null);
+    assert.equal(createGeoLookup({ provider })(null).approx_country, null);
+  });
+
+  await t.test('the none provider records that no lookup was made', () => {
+    const geo = createGeoLookup({ provider: createNoopProvider() })('198.51.100.7');
+    assert.equal(geo.approx_country, null);
+    assert.equal(geo.geo_provider, 'none');
+    assert.equal(geo.geo_db_version, null);
+  });
+});
+
+test('MaxMind provider', async (t) => {
+  await t.test('reads City and ASN files', (t) => {
+    const dir = tempDir(t);
+    writeCity(path.join(dir, 'city.mmdb'));
+    writeMmdb(path.join(dir, 'asn.mmdb'), {
+      databaseType: 'GeoLite2-ASN',
+      networks: [['198.51.100.0/24', { autonomous_system_number: 64500, autonomous_system_organization: 'Example Net' }]]
+    });
+    const provider = createMaxmindProvider({ files: { city: path.join(dir, 'city.mmdb'), asn: path.join(dir, 'asn.mmdb') } });
+    t.after(() => provider.close());
+
+    assert.equal(provider.version(), 'GeoLite2-City 2024-05-01, GeoLite2-ASN 2024-05-01');
+    assert.deepEqual(provider.lookup('198.51.100.7'), {
+      country: 'DE', region: 'BE', city: 'Berlin', lat: 52.52, lon: 13.405, accuracy_km: 20, asn: 64500, as_org: 'Example Net'
+    });
+    assert.equal(provider.lookup('203.0.113.1').country, null);
+  });
+
+  await t.test('refuses to start without a readable file', (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, 'broken.mmdb'), 'not a database');
+    assert.throws(() => createMaxmindProvider({ files: { city: path.join(dir, 'missing.mmdb') } }), /Could not load MaxMind city database/);
+    assert.throws(() => createMaxmindProvider({ files: { country: path.join(dir, 'broken.mmdb') } }), /Could not load MaxMind country database/);
+  });
+
+  await t.test('reloads a file when it changes and keeps the old copy when the new one is broken', async (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'city.mmdb');
+    writeCity(file);
+    const logs = [];
+    const log = createLogger({ stream: { write: (line) => logs.push(JSON.parse(line)) } });
+    const provider = createMaxmindProvider({ files: { city: file }, watchIntervalMs: 20, log });
+    t.after(() => provider.close());
+
+    // Replaced by rename, as updaters do; the mtime is moved on so the change shows at any clock resolution
+    const replace = (write, secondsAhead) => {
+      write(`${file}.new`);
+      const later = new Date(Date.now() + secondsAhead * 1000);
+      fs.utimesSync(`${file}.new`, later, later);
+      fs.renameSync(`${file}.new`, file);
+    };
+    replace((f) => writeCity(f, { buildEpoch: new Date('2024-06-01T00:00:00Z'), place: { ...BERLIN, city: { names: { en: 'Potsdam' } } } }), 10);
+    await until(() => provider.version() === 'GeoLite2-City 2024-06-01');
+    assert.equal(provider.lookup('198.51.100.7').city, 'Potsdam');
+    assert.equal(logs.at(-1).msg, 'Reloaded MaxMind database');
+
+    replace((f) => fs.writeFileSync(f, 'truncated download'), 20);
+    await until(() => logs.some((e) => e.level === 'error'));
+    assert.equal(provider.version(), 'GeoLite2-City 2024-06-01');
+    assert.equal(provider.lookup('198.51.100.7').city, 'Potsdam');
+  });
+});
+
+test('GEO_PROVIDER and GEO_GRANULARITY', async (t) => {
+  await t.test('are validated', () => {
+    assert.throws(() => loadConfig({ GEO_PROVIDER: 'ipinfo' }), /Invalid GEO_PROVIDER "ipinfo"/);
+    assert.throws(() => loadConfig({ GEO_PROVIDER: 'maxmind' }), /Set GEO_MMDB_CITY or GEO_MMDB_COUNTRY/);
+    assert.throws(() => loadConfig({ GEO_GRANULARITY: 'street' }), /Invalid GEO_GRANULARITY "street"/);
+    assert.equal(loadConfig({}).geo.provider, 'geoip-lite');
+  });
+
+  await t.test('clicks store what the configured provider found, and /admin shows where it came from', async (t) => {
+    const dir = tempDir(t);
+    writeCity(path.join(dir, 'city.mmdb'));
+    const ctx = await startApp({ GEO_PROVIDER: 'maxmind', GEO_MMDB_CITY: path.join(dir, 'city.mmdb'), GEO_GRANULARITY: 'region' });
+    t.after(() => ctx.close());
+
+    await ctx.client().get('/track', { headers: browser(1, { 'x-forwarded-for': '198.51.100.7' }) });
+    const click = ctx.lastClick();
+    assert.equal(click.approx_country, 'DE');
+    assert.equal(click.approx_region, 'BE');
+    assert.equal(click.approx_city, null);
+    assert.equal(click.approx_lat, null);
+    assert.equal(click.geo_provider, 'maxmind');
+    assert.equal(click.geo_db_version, 'GeoLite2-City 2024-05-01');
+
+    const { client } = await login(ctx);
+    const listing = await client.get('/admin');
+    assert.match(listing.body, /by <code>maxmind GeoLite2-City 2024-05-01<\/code>/);
+    const detail = await client.get(`/admin/clicks/${click.id}`);
+    assert.match(detail.body, /geo_db_version/);
+  });
+
+  await t.test('DNT clicks keep no network operator', async (t) => {
+    const dir = tempDir(t);
+    writeCity(path.join(dir, 'city.mmdb'));
+    writeMmdb(path.join(dir, 'asn.mmdb'), {
+      databaseType: 'GeoLite2-ASN',
+      networks: [['198.51.100.0/24', { autonomous_system_number: 64500, autonomous_system_organization: 'Example Net' }]]
+    });
+    const ctx = await startApp({ GEO_PROVIDER: 'maxmind', GEO_MMDB_CITY: path.join(dir, 'city.mmdb'), GEO_MMDB_ASN: path.join(dir, 'asn.mmdb') });
+    t.after(() => ctx.close());
+
+    await ctx.client().get('/track', { headers: browser(1, { 'x-forwarded-for': '198.51.100.7' }) });
+    assert.equal(ctx.lastClick().approx_asn, 64500);
+    await ctx.client().get('/track', { headers: browser(2, { 'x-forwarded-for': '198.51.100.8', dnt: '1' }) });
+    const minimized = ctx.lastClick();
+    assert.equal(minimized.approx_country, 'DE');
+    assert.equal(minimized.approx_asn, null);
+    assert.equal(minimized.approx_as_org, null);
+  });
+});
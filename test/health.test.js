@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger } = require('../src/log');
+const { startApp, browser } = require('./helpers');
+
+function bearer(token) {
+  return { authorization: `Bearer ${token}` };
+}
+
+// "name{labels} value" lines of a Prometheus text page
+function sample(text, series) {
+  const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+test('/healthz and /readyz', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+
+  await t.test('/healthz answers while the process is up', async () => {
+    const res = await ctx.client().get('/healthz');
+    assert.equal(res.status, 200);
+    assert.equal(res.body, 'OK');
+  });
+
+  await t.test('/readyz writes to the database and reports each check', async () => {
+    const res = await ctx.client().get('/readyz');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true, checks: { database: 'ok', click_queue: 'ok' } });
+    assert.equal(ctx.db.prepare('SELECT COUNT(*) AS n FROM health_checks').get().n, 1);
+  });
+
+  await t.test('/readyz fails once the click queue is shutting down', async () => {
+    await ctx.app.locals.tracker.ingest.close();
+    const res = await ctx.client().get('/readyz');
+    assert.equal(res.status, 503);
+    assert.deepEqual(res.body, { ok: false, checks: { database: 'ok', click_queue: 'shutting_down' } });
+  });
+});
+
+test('/readyz fails when the database does not take the write', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  ctx.db.exec('DROP TABLE health_checks');
+
+  const res = await ctx.client().get('/readyz');
+  assert.equal(res.status, 503);
+  assert.equal(res.body.checks.database, 'failed');
+  assert.ok(ctx.logs.some((e) => e.level === 'error' && e.msg === 'Readiness check: database write failed'));
+});
+
+test('/metrics', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const { auth } = ctx.app.locals.tracker;
+  const metricsToken = await auth.createApiToken(ctx.admin, { name: 'prometheus', scopes: ['metrics:read'] });
+  const statsToken = await auth.createApiToken(ctx.admin, { name: 'stats', scopes: ['stats:read'] });
+
+  await t.test('requires metrics:read', async () => {
+    const client = ctx.client();
+    assert.equal((await client.get('/metrics')).status, 401);
+    assert.equal((await client.get('/metrics', { headers: bearer(statsToken) })).status, 403);
+    const res = await client.get('/metrics', { headers: bearer(metricsToken) });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    assert.match(res.body, /# TYPE tracker_clicks_total counter/);
+  });
+
+  await t.test('counts clicks, geo posts, lookups and writes', async () => {
+    const visitor = ctx.client();
+    await visitor.get('/track', { headers: browser(1) });
+    await visitor.get('/track?u=view-transaction', { headers: browser(2) });
+    await ctx.client().post('/api/geo', { json: { lat: 1, lon: 2 } });
+
+    const { body } = await ctx.client().get('/metrics', { headers: bearer(metricsToken) });
+    assert.equal(sample(body, 'tracker_clicks_total{mode="redirect"}'), 1);
+    assert.equal(sample(body, 'tracker_clicks_total{mode="image"}'), 1);
+    assert.equal(sample(body, 'tracker_geo_posts_total{outcome="missing_cid"}'), 1);
+    // Documentation addresses are not in the location database
+    assert.equal(sample(body, 'tracker_geoip_lookups_total{result="miss"}'), 2);
+    assert.equal(sample(body, 'tracker_click_writes_total'), 2);
+    assert.equal(sample(body, 'tracker_click_insert_failures_total'), 0);
+    assert.equal(sample(body, 'tracker_click_queue_depth'), 0);
+    assert.equal(sample(body, 'tracker_http_request_duration_seconds_count{method="GET",route="/track",status="302"}'), 1);
+    assert.equal(sample(body, 'tracker_http_request_duration_seconds_count{method="GET",route="/track",status="200"}'), 1);
+  });
+
+  await t.test('labels unmatched requests by route, not by URL', async () => {
+    await ctx.client().get('/no/such/page');
+    const { body } = await ctx.client().get('/metrics', { headers: bearer(metricsToken) });
+    assert.equal(sample(body, 'tracker_http_request_duration_seconds_count{method="GET",route="unmatched",status="404"}'), 1);
+    assert.doesNotMatch(body, /no\/such\/page/);
+  });
+});
+
+test('unexpected errors', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  ctx.db.exec('DROP TABLE geo_rejections');
+  const client = ctx.client();
+  client.cookies.set('privacy_ref', 'some-click');
+
+  await t.test('are logged and answered with a plain 500, as JSON under /api', async () => {
+    const api = await client.post('/api/privacy/erase');
+    assert.equal(api.status, 500);
+    assert.deepEqual(api.body, { ok: false, error: 'Internal Server Error' });
+    const page = await client.post('/privacy/erase');
+    assert.equal(page.status, 500);
+    assert.equal(page.body, 'Internal Server Error');
+    const logged = ctx.logs.filter((e) => e.msg === 'Request failed');
+    assert.deepEqual(logged.map((e) => [e.level, e.url]), [['error', '/api/privacy/erase'], ['error', '/privacy/erase']]);
+    assert.match(logged[0].error, /geo_rejections/);
+  });
+
+  await t.test('keep the status of malformed request bodies', async () => {
+    const res = await ctx.client().post('/api/consent', { json: '{"version":' });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body, { ok: false, error: 'Bad Request' });
+  });
+});
+
+test('request log', async (t) => {
+  const requestEntry = (logs) => logs.find((e) => e.msg === 'request' && e.url === '/track');
+
+  await t.test('writes one JSON entry per request with the client IP', async (t) => {
+    const ctx = await startApp({ ACCESS_LOG: '1' });
+    t.after(() => ctx.close());
+    await ctx.client().get('/track', { headers: browser(7) });
+    const entry = requestEntry(ctx.logs);
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.method, 'GET');
+    assert.equal(entry.status, 302);
+    assert.equal(entry.ip, '203.0.113.7');
+    assert.equal(typeof entry.duration_ms, 'number');
+  });
+
+  await t.test('truncates IPs under IP_MODE=pseudonymized', async (t) => {
+    const ctx = await startApp({ ACCESS_LOG: '1', IP_MODE: 'pseudonymized' });
+    t.after(() => ctx.close());
+    await ctx.client().get('/track', { headers: browser(7) });
+    assert.equal(requestEntry(ctx.logs).ip, '203.0.113.0');
+  });
+
+  await t.test('leaves IPs out with LOG_IPS=0', async (t) => {
+    const ctx = await startApp({ ACCESS_LOG: '1', LOG_IPS: '0' });
+    t.after(() => ctx.close());
+    await ctx.client().get('/track', { headers: browser(7) });
+    const entry = requestEntry(ctx.logs);
+    assert.equal(entry.status, 302);
+    assert.equal('ip' in entry, false);
+  });
+
+  await t.test('leaves out user agent and referrer for DNT / GPC requests', async (t) => {
+    const ctx = await startApp({ ACCESS_LOG: '1', LOG_IPS: '0' });
+    t.after(() => ctx.close());
+    await ctx.client().get('/track', { headers: browser(7, { referer: 'https://news.example/', 'sec-gpc': '1' }) });
+    const entry = requestEntry(ctx.logs);
+    assert.equal(entry.status, 302);
+    assert.equal(entry.privacy_signal, 'gpc');
+    assert.equal('user_agent' in entry, false);
+    assert.equal('referrer' in entry, false);
+    assert.equal('ip' in entry, false);
+    assert.ok(!JSON.stringify(ctx.logs).includes('news.example'));
+  });
+});
+
+test('createLogger', async (t) => {
+  const capture = (opts) => {
+    const lines = [];
+    return { lines, log: createLogger({ ...opts, stream: { write: (line) => lines.push(JSON.parse(line)) } }) };
+  };
+
+  await t.test('skips entries below the level and adds child fields', () => {
+    const { lines, log } = capture({ level: 'warn' });
+    log.info('hidden');
+    log.child({ component: 'ingest' }).warn('shown', { rows: 3 });
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].msg, 'shown');
+    assert.equal(lines[0].component, 'ingest');
+    assert.equal(lines[0].rows, 3);
+  });
+
+  await t.test('redacts ip and ip_chain at any depth', () => {
+    const { lines, log } = capture({ ips: 'truncated' });
+    log.error('failed', { record: { ip: '198.51.100.23', ip_chain: '198.51.100.23, 10.0.0.1' } });
+    assert.deepEqual(lines[0].record, { ip: '198.51.100.0', ip_chain: '198.51.100.0, 10.0.0.0' });
+  });
+});
@@ -0,0 +1,112 @@
+// Shared setup for the integration tests: an app on in-memory SQLite, listening on a random port
+const path = require('path');
+const { loadConfig } = require('../src/config');
+const { openDatabase, createSqliteStorage } = require('../src/storage');
+const { createApp, bootstrapAdmin } = require('../src/app');
+const { createLogger } = require('../src/log');
+const { clickRecord } = require('../src/clicks');
+
+const ADMIN_PASSWORD = 'test-admin-password';
+
+// Headers a real browser sends on navigation; x-forwarded-for gives each visitor its own address
+function browser(n = 1, extra = {}) {
+  return {
+    'user-agent': 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0',
+    accept: 'text/html,application/xhtml+xml',
+    'accept-language': 'en-US,en;q=0.8',
+    'x-forwarded-for': `203.0.113.${n}`,
+    ...extra
+  };
+}
+
+// Minimal cookie jar around fetch; redirects are returned, not followed
+function createClient(base) {
+  const cookies = new Map();
+
+  async function request(method, url, { headers = {}, json, form } = {}) {
+    const opts = { method, redirect: 'manual', headers: { ...headers } };
+    if (cookies.size) opts.headers.cookie = [...cookies].map(([k, v]) => `${k}=${v}`).join('; ');
+    if (json !== undefined) {
+      opts.headers['content-type'] = 'application/json';
+      opts.body = typeof json === 'string' ? json : JSON.stringify(json);
+    } else if (form) {
+      opts.headers['content-type'] = 'application/x-www-form-urlencoded';
+      opts.body = new URLSearchParams(form).toString();
+    }
+    const res = await fetch(base + url, opts);
+    for (const line of res.headers.getSetCookie()) {
+      const [pair, ...attrs] = line.split(';');
+      const name = pair.slice(0, pair.indexOf('='));
+      const value = pair.slice(pair.indexOf('=') + 1);
+      const expired = attrs.some((a) => /^\s*expires=Thu, 01 Jan 1970/i.test(a)) || value === '';
+      if (expired) cookies.delete(name.trim());
+      else cookies.set(name.trim(), value);
+    }
+    const text = await res.text();
+    let body = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) body = JSON.parse(text);
+    return { status: res.status, headers: res.headers, body };
+  }
+
+  return {
+    cookies,
+    get: (url, opts) => request('GET', url, opts),
+    post: (url, opts) => request('POST', url, opts)
+  };
+}
+
+async function startApp(env = {}) {
+  const config = loadConfig({
+    ACCESS_LOG: '0',
+    ADMIN_KEY: ADMIN_PASSWORD,
+    REDIRECT_DEFAULT: 'https://fallback.example/',
+    REDIRECT_ALLOWLIST: 'fallback.example, allowed.example, *.wild.example',
+    IMAGES_DIR: path.join(__dirname, 'no-images'),
+    // Write each click as soon as it is queued, so the request that follows sees it
+    INGEST_BATCH_SIZE: '1',
+    ...env
+  });
+  // Tests seed and inspect rows through db directly
+  const db = openDatabase(':memory:');
+  const storage = createSqliteStorage(db);
+  // Log entries are kept for the tests to inspect instead of going to stdout
+  const logs = [];
+  const log = createLogger({ level: config.logLevel, ips: config.logIps, stream: { write: (line) => logs.push(JSON.parse(line)) } });
+  const app = createApp({ config, storage, log });
+  const admin = await bootstrapAdmin(app.locals.tracker.auth, config);
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    app,
+    db,
+    storage,
+    config,
+    admin,
+    logs,
+    base,
+    client: () => createClient(base),
+    lastClick: () => db.prepare(`SELECT * FROM clicks ORDER BY created_at DESC, rowid DESC LIMIT 1`).get(),
+    click: (id) => db.prepare(`SELECT * FROM clicks WHERE id = ?`).get(id),
+    close: () => {
+      app.locals.tracker.geoProvider.close();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+// Sign in through the login form; returns the client and the session's CSRF token
+async function login(ctx, { username = 'admin', password = ADMIN_PASSWORD } = {}) {
+  const client = ctx.client();
+  const page = await client.get('/login');
+  const csrf = /name="_csrf" value="([^"]+)"/.exec(page.body)[1];
+  const res = await client.post('/login', { form: { _csrf: csrf, username, password, next: '/admin' } });
+  if (res.status !== 303) throw new Error(`login failed with ${res.status}`);
+  const admin = await client.get('/admin');
+  const sessionCsrf = /name="_csrf" value="([^"]+)"/.exec(admin.body)[1];
+  return { client, csrf: sessionCsrf };
+}
+
+module.exports = { ADMIN_PASSWORD, browser, createClient, startApp, login, clickRecord };
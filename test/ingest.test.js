@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openDatabase, createSqliteStorage } = require('../src/storage');
+const { createClickStore } = require('../src/clicks');
+const { createIngestQueue, replayDeadLetters } = require('../src/ingest');
+const { createErasure } = require('../src/erasure');
+const { createLogger } = require('../src/log');
+const { startApp, browser, clickRecord } = require('./helpers');
+
+function setup(t) {
+  const storage = createSqliteStorage(openDatabase(':memory:'));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-ingest-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const count = async () => (await storage.get('SELECT COUNT(*) AS n FROM clicks')).n;
+  return { storage, clicks: createClickStore(storage), deadLetterFile: path.join(dir, 'dead-letters.ndjson'), count };
+}
+
+function deadLetters(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+}
+
+test('ingest queue', async (t) => {
+  await t.test('writes full batches at once and the rest after the flush interval', async (t) => {
+    const { clicks, count } = setup(t);
+    const queue = createIngestQueue({ clicks, batchSize: 3, flushIntervalMs: 20 });
+    for (const id of ['a', 'b', 'c']) await queue.push(clickRecord({ id }));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(await count(), 3);
+    await queue.push(clickRecord({ id: 'd' }));
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(queue.status().queued, 1);
+    assert.equal(await count(), 3);
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(await count(), 4);
+    assert.deepEqual(queue.status(), { queued: 0, closed: false, written: 4, deadLettered: 0, batches: 2, failedBatches: 0 });
+  });
+
+  await t.test('makes push wait while the queue is full', async (t) => {
+    const { clicks, count } = setup(t);
+    const queue = createIngestQueue({ clicks, batchSize: 100, flushIntervalMs: 60000, maxQueue: 2 });
+    await queue.push(clickRecord({ id: 'a' }));
+    await queue.push(clickRecord({ id: 'b' }));
+    let third = false;
+    const pushed = queue.push(clickRecord({ id: 'c' })).then(() => {
+      third = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(third, false);
+
+    await queue.flush();
+    await pushed;
+    assert.equal(third, true);
+    await queue.close();
+    assert.equal(await count(), 3);
+  });
+
+  await t.test('dead-letters only the rows a batch could not write, and replays them', async (t) => {
+    const { storage, clicks, deadLetterFile, count } = setup(t);
+    await clicks.insert(clickRecord({ id: 'taken' }));
+    const logs = [];
+    const log = createLogger({ stream: { write: (line) => logs.push(JSON.parse(line)) } });
+    const queue = createIngestQueue({ clicks, batchSize: 10, flushIntervalMs: 60000, deadLetterFile, log });
+    await queue.push(clickRecord({ id: 'a' }));
+    await queue.push(clickRecord({ id: 'broken', created_at: null }));
+    await queue.push(clickRecord({ id: 'b' }));
+    await queue.close();
+
+    assert.equal(await count(), 3);
+    const [entry] = deadLetters(deadLetterFile);
+    assert.equal(entry.record.id, 'broken');
+    assert.match(entry.error, /NOT NULL/);
+    assert.deepEqual(logs.map((e) => [e.level, e.msg]), [
+      ['warn', 'Click batch failed, retrying row by row'],
+      ['warn', 'Click written to the dead-letter file']
+    ]);
+    assert.deepEqual(queue.status(), { queued: 0, closed: true, written: 2, deadLettered: 1, batches: 1, failedBatches: 1 });
+
+    // Still broken: stays in the file. Already stored: dropped.
+    fs.appendFileSync(deadLetterFile, `${JSON.stringify({ failed_at: '2024-05-01T00:00:00.000Z', error: 'timeout', record: clickRecord({ id: 'taken' }) })}\n`);
+    fs.appendFileSync(deadLetterFile, `${JSON.stringify({ failed_at: '2024-05-01T00:00:00.000Z', error: 'timeout', record: clickRecord({ id: 'late' }) })}\n`);
+    // Erased while it sat in the file: must not come back
+    fs.appendFileSync(deadLetterFile, `${JSON.stringify({ failed_at: '2024-05-01T00:00:00.000Z', error: 'timeout', record: clickRecord({ id: 'gone' }) })}\n`);
+    const erasure = createErasure(storage);
+    await erasure.erase('gone', { source: 'visitor' });
+    assert.deepEqual(await replayDeadLetters({ clicks, erasure, storage, file: deadLetterFile }), { replayed: 1, duplicates: 1, erased: 1, failed: 1 });
+    assert.equal(await count(), 4);
+    assert.deepEqual(deadLetters(deadLetterFile).map((e) => e.record.id), ['broken']);
+    assert.equal(fs.existsSync(`${deadLetterFile}.replaying`), false);
+  });
+
+  await t.test('writes straight away once closed', async (t) => {
+    const { clicks, count } = setup(t);
+    const queue = createIngestQueue({ clicks, batchSize: 100, flushIntervalMs: 60000 });
+    await queue.push(clickRecord({ id: 'a' }));
+    await queue.close();
+    assert.equal(await count(), 1);
+    await queue.push(clickRecord({ id: 'b' }));
+    await queue.whenWritten('b');
+    assert.equal(await count(), 2);
+  });
+});
+
+test('/api/consent and /api/geo wait for a click that is still queued', async (t) => {
+  const ctx = await startApp({ INGEST_BATCH_SIZE: '100', INGEST_FLUSH_INTERVAL: '1h' });
+  t.after(() => ctx.close());
+
+  const client = ctx.client();
+  const page = await client.get('/track?u=view-transaction', { headers: browser(1) });
+  const token = /var GEO_TOKEN = "([^"]+)"/.exec(page.body)[1];
+  const version = /var CONSENT_VERSION = "([^"]+)"/.exec(page.body)[1];
+  assert.equal(ctx.lastClick(), undefined);
+
+  assert.equal((await client.post('/api/consent', { json: { version, token } })).status, 200);
+  assert.equal((await client.post('/api/geo', { json: { token, lat: 52.52, lon: 13.405, accuracy: 25, consented: true } })).status, 200);
+  assert.equal(ctx.lastClick().precise_lat, 52.52);
+});
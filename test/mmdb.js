@@ -0,0 +1,103 @@
+// Writes small MaxMind DB files for the geo provider tests: IPv4 only, 24-bit records.
+// Format: https://maxmind.github.io/MaxMind-DB/
+const fs = require('fs');
+
+function control(type, size) {
+  const head = type > 7 ? [0, type - 7] : [type << 5];
+  if (size < 29) {
+    head[0] |= size;
+    return Buffer.from(head);
+  }
+  if (size < 285) {
+    head[0] |= 29;
+    return Buffer.from([...head, size - 29]);
+  }
+  head[0] |= 30;
+  return Buffer.from([...head, (size - 285) >> 8, (size - 285) & 0xff]);
+}
+
+function uint(type, n) {
+  const bytes = [];
+  for (let v = BigInt(n); v > 0n; v >>= 8n) bytes.unshift(Number(v & 0xffn));
+  return Buffer.concat([control(type, bytes.length), Buffer.from(bytes)]);
+}
+
+// Strings, maps, arrays, doubles (numbers with a fraction) and unsigned integers
+function encode(value) {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([control(2, bytes.length), bytes]);
+  }
+  if (typeof value === 'number' && !Number.isInteger(value)) {
+    const bytes = Buffer.alloc(8);
+    bytes.writeDoubleBE(value);
+    return Buffer.concat([control(3, 8), bytes]);
+  }
+  if (typeof value === 'number') return uint(value < 65536 ? 5 : 6, value);
+  if (typeof value === 'bigint') return uint(9, value);
+  if (Array.isArray(value)) return Buffer.concat([control(11, value.length), ...value.map(encode)]);
+  const entries = Object.entries(value);
+  return Buffer.concat([control(7, entries.length), ...entries.flatMap(([k, v]) => [encode(k), encode(v)])]);
+}
+
+// networks: [['198.51.100.0/24', { country: { iso_code: 'DE' } }], ...]
+function writeMmdb(file, { databaseType, buildEpoch = new Date('2024-05-01T00:00:00Z'), networks }) {
+  const nodes = [[null, null]];
+  const data = [];
+  let dataSize = 0;
+
+  for (const [cidr, record] of networks) {
+    const [address, bits] = cidr.split('/');
+    const n = address.split('.').reduce((acc, octet) => acc * 256 + Number(octet), 0);
+    const encoded = encode(record);
+    const pointer = { data: dataSize };
+    data.push(encoded);
+    dataSize += encoded.length;
+
+    let node = 0;
+    for (let i = 0; i < Number(bits); i++) {
+      const bit = Math.floor(n / 2 ** (31 - i)) % 2;
+      if (i === Number(bits) - 1) {
+        nodes[node][bit] = pointer;
+      } else {
+        if (!nodes[node][bit] || nodes[node][bit].data !== undefined) {
+          nodes.push([null, null]);
+          nodes[node][bit] = { node: nodes.length - 1 };
+        }
+        node = nodes[node][bit].node;
+      }
+    }
+  }
+
+  const nodeCount = nodes.length;
+  const tree = Buffer.alloc(nodeCount * 6);
+  nodes.forEach((records, i) => {
+    records.forEach((r, side) => {
+      const value = r === null ? nodeCount : r.node !== undefined ? r.node : nodeCount + 16 + r.data;
+      tree.writeUIntBE(value, i * 6 + side * 3, 3);
+    });
+  });
+
+  const metadata = encode({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 4,
+    database_type: databaseType,
+    languages: ['en'],
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: BigInt(Math.floor(buildEpoch.getTime() / 1000)),
+    description: { en: `${databaseType} test data` }
+  });
+
+  fs.writeFileSync(file, Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    ...data,
+    Buffer.from([0xab, 0xcd, 0xef]),
+    Buffer.from('MaxMind.com'),
+    metadata
+  ]));
+}
+
+module.exports = { writeMmdb };
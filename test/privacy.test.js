@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, browser, login } = require('./helpers');
+
+// An image-mode visit, which links the browser to its click through the cid cookie
+async function visit(ctx, n) {
+  const client = ctx.client();
+  await client.get('/track?u=view-transaction', { headers: browser(n) });
+  const cid = client.cookies.get('cid');
+  ctx.db.prepare(`INSERT INTO geo_rejections (created_at, click_id, reason) VALUES (?, ?, 'no_consent')`).run(new Date().toISOString(), cid);
+  return { client, cid };
+}
+
+test('/privacy', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const tombstones = (cid) => ctx.db.prepare(`SELECT found, source, request_id, erased_by FROM erasures WHERE click_id = ? ORDER BY id`).all(cid);
+  const rejectionCount = (cid) => ctx.db.prepare(`SELECT COUNT(*) AS n FROM geo_rejections WHERE click_id = ?`).get(cid).n;
+
+  await t.test('shows nothing without a correlation cookie', async () => {
+    const client = ctx.client();
+    assert.deepEqual((await client.get('/api/privacy')).body, { ok: true, data: [] });
+    assert.match((await client.get('/privacy')).body, /No stored visit is linked to this browser/);
+    assert.equal((await client.post('/api/privacy/erase')).status, 400);
+  });
+
+  await t.test('shows the visitor the click their cookie points at', async () => {
+    const { client, cid } = await visit(ctx, 1);
+    const res = await client.get('/api/privacy');
+    assert.equal(res.body.data.length, 1);
+    assert.equal(res.body.data[0].id, cid);
+    assert.equal(res.body.data[0].ip, '203.0.113.1');
+    assert.equal(res.body.data[0].dest_url, 'view-transaction');
+    const page = await client.get('/privacy');
+    assert.ok(page.body.includes(`Reference: <code>${cid}</code>`));
+    assert.match(page.body, /action="\/privacy\/erase"/);
+  });
+
+  await t.test('erases the click with a tombstone', async () => {
+    const { client, cid } = await visit(ctx, 2);
+    const res = await client.post('/api/privacy/erase');
+    assert.deepEqual(res.body, { ok: true, erased: true });
+    assert.equal(ctx.click(cid), undefined);
+    assert.equal(rejectionCount(cid), 0);
+    assert.deepEqual(tombstones(cid), [{ found: 1, source: 'visitor', request_id: null, erased_by: null }]);
+    assert.equal(client.cookies.get('cid'), undefined);
+  });
+
+  await t.test('erases from the page form', async () => {
+    const { client, cid } = await visit(ctx, 3);
+    const res = await client.post('/privacy/erase');
+    assert.equal(res.status, 303);
+    assert.equal(res.headers.get('location'), '/privacy?erased=1');
+    assert.equal(ctx.click(cid), undefined);
+    assert.match((await client.get('/privacy?erased=1')).body, /Your data has been erased/);
+  });
+
+  await t.test('still erases once GEO_WINDOW has passed and the cid cookie is gone', async () => {
+    const client = ctx.client();
+    const res = await client.get('/track?u=view-transaction', { headers: browser(5) });
+    const cookie = (name) => res.headers.getSetCookie().find((c) => c.startsWith(`${name}=`));
+    assert.match(cookie('cid'), /Max-Age=300;/);
+    // As long as the delete=180d retention rule keeps the click
+    assert.match(cookie('privacy_ref'), /Max-Age=15552000;.*HttpOnly/);
+    const cid = client.cookies.get('cid');
+    client.cookies.delete('cid');
+
+    assert.equal((await client.get('/api/privacy')).body.data[0].id, cid);
+    assert.deepEqual((await client.post('/api/privacy/erase')).body, { ok: true, erased: true });
+    assert.equal(ctx.click(cid), undefined);
+    assert.equal(client.cookies.has('privacy_ref'), false);
+  });
+
+  await t.test('shows and erases every visit from the same browser', async () => {
+    const client = ctx.client();
+    await client.get('/track?u=view-transaction', { headers: browser(6) });
+    const first = client.cookies.get('cid');
+    await client.get('/track?u=view-transaction', { headers: browser(6) });
+    const second = client.cookies.get('cid');
+    assert.notEqual(first, second);
+    assert.equal(client.cookies.get('privacy_ref'), `${second}.${first}`);
+    client.cookies.delete('cid');
+
+    assert.deepEqual((await client.get('/api/privacy')).body.data.map((row) => row.id), [second, first]);
+    const page = await client.get('/privacy');
+    assert.ok(page.body.includes(`Reference: <code>${first}</code>`));
+    assert.ok(page.body.includes(`Reference: <code>${second}</code>`));
+    assert.equal((await client.post('/privacy/erase')).status, 303);
+    assert.equal(ctx.click(first), undefined);
+    assert.equal(ctx.click(second), undefined);
+    assert.deepEqual(tombstones(first), [{ found: 1, source: 'visitor', request_id: null, erased_by: null }]);
+  });
+
+  await t.test('operators work through erasure requests received by email', async () => {
+    const { cid } = await visit(ctx, 4);
+    const { client, csrf } = await login(ctx);
+
+    assert.equal((await client.post('/admin/erasure', { form: { contact: 'a@example.com', click_id: cid } })).status, 403);
+    assert.equal((await client.post('/admin/erasure', { form: { _csrf: csrf, contact: '', click_id: cid } })).status, 400);
+    assert.equal((await client.post('/admin/erasure', { form: { _csrf: csrf, contact: 'a@example.com', click_id: cid, note: 'via email' } })).status, 303);
+    await client.post('/admin/erasure', { form: { _csrf: csrf, contact: 'b@example.com', click_id: 'ffffffffffffffffffffffffffffffff' } });
+
+    const queue = await client.get('/admin/erasure');
+    assert.ok(queue.body.includes(`<a href="/admin/clicks/${cid}">matches a click</a>`));
+    assert.match(queue.body, /no matching click/);
+
+    const [matched, unmatched] = ctx.db.prepare(`SELECT id FROM erasure_requests ORDER BY id`).all();
+    assert.equal((await client.post(`/admin/erasure/${matched.id}/resolve`, { form: { _csrf: csrf, action: 'erase' } })).status, 303);
+    assert.equal(ctx.click(cid), undefined);
+    assert.deepEqual(tombstones(cid), [{ found: 1, source: 'request', request_id: matched.id, erased_by: 'admin' }]);
+    assert.equal((await client.post(`/admin/erasure/${matched.id}/resolve`, { form: { _csrf: csrf, action: 'reject' } })).status, 409);
+
+    await client.post(`/admin/erasure/${unmatched.id}/resolve`, { form: { _csrf: csrf, action: 'reject' } });
+    const statuses = ctx.db.prepare(`SELECT status, resolved_by FROM erasure_requests ORDER BY id`).all();
+    assert.deepEqual(statuses, [{ status: 'erased', resolved_by: 'admin' }, { status: 'rejected', resolved_by: 'admin' }]);
+    assert.doesNotMatch((await client.get('/admin/erasure')).body, /a@example\.com/);
+    assert.match((await client.get('/admin/erasure?status=all')).body, /a@example\.com/);
+  });
+
+  await t.test('only admins see the queue', async () => {
+    const { auth } = ctx.app.locals.tracker;
+    await auth.createUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+    const { client } = await login(ctx, { username: 'viewer', password: 'viewer-password' });
+    assert.equal((await client.get('/admin/erasure')).status, 403);
+  });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { safeRedirectUrl } = require('../src/redirects');
+const { startApp, browser } = require('./helpers');
+
+const target = { allowlist: ['allowed.example', '*.wild.example'], fallback: 'https://fallback.example/' };
+
+test('safeRedirectUrl follows allowed http(s) destinations', () => {
+  assert.deepEqual(safeRedirectUrl('https://allowed.example/a?b=1', target), { url: 'https://allowed.example/a?b=1', reason: null });
+  assert.deepEqual(safeRedirectUrl('http://sub.wild.example/', target), { url: 'http://sub.wild.example/', reason: null });
+});
+
+test('safeRedirectUrl falls back and says why', () => {
+  const cases = [
+    [undefined, 'invalid_url'],
+    ['', 'invalid_url'],
+    ['not a url', 'invalid_url'],
+    [`https://allowed.example/${'a'.repeat(2048)}`, 'too_long'],
+    ['javascript:alert(1)', 'bad_protocol'],
+    ['ftp://allowed.example/file', 'bad_protocol'],
+    ['https://evil.example/', 'host_not_allowed'],
+    ['https://wild.example/', 'host_not_allowed'],
+    ['https://allowed.example.evil.example/', 'host_not_allowed']
+  ];
+  for (const [input, reason] of cases) {
+    assert.deepEqual(safeRedirectUrl(input, target), { url: 'https://fallback.example/', reason }, String(input));
+  }
+});
+
+test('legacy /track?u= goes through the same fallback', async (t) => {
+  const ctx = await startApp({ LEGACY_TRACK_URLS: '1' });
+  t.after(() => ctx.close());
+  const client = ctx.client();
+
+  const allowed = await client.get(`/track?u=${encodeURIComponent('https://allowed.example/x')}`, { headers: browser(1) });
+  assert.equal(allowed.headers.get('location'), 'https://allowed.example/x');
+  assert.equal(ctx.lastClick().redirect_reason, null);
+
+  const cases = [
+    ['https://evil.example/', 'host_not_allowed'],
+    ['javascript:alert(1)', 'bad_protocol'],
+    ['//evil.example', 'invalid_url']
+  ];
+  for (const [i, [u, reason]] of cases.entries()) {
+    const res = await client.get(`/track?u=${encodeURIComponent(u)}`, { headers: browser(2 + i) });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://fallback.example/');
+    const row = ctx.lastClick();
+    assert.equal(row.dest_url, 'https://fallback.example/');
+    assert.equal(row.redirect_reason, reason);
+  }
+});
@@ -0,0 +1,432 @@
+// Conformance suite for the storage backends: the stores must behave the same on each.
+// SQLite always runs; PostgreSQL runs when TEST_DATABASE_URL points at a throwaway database,
+// e.g. TEST_DATABASE_URL=postgres://postgres:pw@127.0.0.1:5432/tracker_test npm test
+// Its public schema is dropped and recreated for every test.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase, createSqliteStorage, openPostgres } = require('../src/storage');
+const { createClickStore } = require('../src/clicks');
+const { clickSearchArgs, parseClickSearch } = require('../src/clicksearch');
+const { createStats } = require('../src/stats');
+const { createCampaignReport } = require('../src/campaigns');
+const { createRetentionJob, parseRetentionRules } = require('../src/retention');
+const { createVisitorHasher } = require('../src/visitors');
+const { createLinkStore } = require('../src/links');
+const { createAuth } = require('../src/auth');
+const { createDatabaseStore } = require('../src/ratelimit');
+const { createAuditLog } = require('../src/audit');
+const { createErasure } = require('../src/erasure');
+const { createPresetStore } = require('../src/presets');
+const { loadConfig } = require('../src/config');
+const { clickRecord } = require('./helpers');
+
+const BACKENDS = {
+  sqlite: async () => createSqliteStorage(openDatabase(':memory:')),
+  postgres: async () => {
+    const reset = await openPostgres(process.env.TEST_DATABASE_URL, { max: 1, migrate: false });
+    await reset.exec('DROP SCHEMA public CASCADE; CREATE SCHEMA public');
+    await reset.close();
+    return openPostgres(process.env.TEST_DATABASE_URL, { max: 4 });
+  }
+};
+
+function geoUpdate(id, overrides = {}) {
+  return {
+    id,
+    precise_lat: 52.52,
+    precise_lon: 13.405,
+    precise_accuracy_m: 16.5,
+    precise_timestamp: '2024-05-01T12:00:05.000Z',
+    consented: 1,
+    device_platform: 'Linux',
+    device_vendor: null,
+    device_language: 'en',
+    device_languages: 'en,de',
+    device_timezone: 'Europe/Berlin',
+    device_hardware_concurrency: 8,
+    device_memory_gb: 8,
+    device_screen_w: 1920,
+    device_screen_h: 1080,
+    device_color_depth: 24,
+    do_not_track: 0,
+    geo_submitted_at: '2024-05-01T12:00:05.000Z',
+    ...overrides
+  };
+}
+
+// What an authenticated route handler passes to audit.record()
+function fakeRequest(user, path = '/api/logs') {
+  return { method: 'GET', baseUrl: '', route: { path }, auth: { via: 'session', user } };
+}
+
+function search(query) {
+  return clickSearchArgs(parseClickSearch(query));
+}
+
+for (const [name, open] of Object.entries(BACKENDS)) {
+  const skip = name === 'postgres' && !process.env.TEST_DATABASE_URL ? 'set TEST_DATABASE_URL to run' : false;
+
+  test(`${name} storage`, { skip }, async (t) => {
+    let storage;
+    t.beforeEach(async () => {
+      storage = await open();
+    });
+    t.afterEach(() => storage.close());
+
+    await t.test('inserts clicks and applies geo and consent updates once', async () => {
+      const clicks = createClickStore(storage);
+      await clicks.insert(clickRecord({ id: 'c1', approx_lat: 52.5, approx_lon: 13.4 }));
+
+      assert.equal(await clicks.getConsent('missing'), null);
+      await clicks.recordConsent({ id: 'c1', consent_version: 'v1', consent_at: '2024-05-01T12:00:01.000Z' });
+      await clicks.recordConsent({ id: 'c1', consent_version: 'v2', consent_at: '2024-05-01T12:00:02.000Z' });
+      assert.deepEqual(await clicks.getConsent('c1'), { consent_version: 'v1', minimized: 0, geo_submitted_at: null });
+
+      assert.equal(await clicks.updateGeo(geoUpdate('c1')), true);
+      assert.equal(await clicks.updateGeo(geoUpdate('c1', { precise_lat: 0 })), false);
+      const row = await clicks.get('c1');
+      assert.equal(row.precise_lat, 52.52);
+      // Browsers report accuracy with a fraction
+      assert.equal(row.precise_accuracy_m, 16.5);
+      assert.equal(row.device_memory_gb, 8);
+      assert.equal(row.approx_lon, 13.4);
+      assert.equal(row.link_slug, null);
+
+      await clicks.recordGeoRejection({ created_at: '2024-05-01T12:00:06.000Z', click_id: 'c1', reason: 'already_submitted', detail: 'x' });
+      assert.deepEqual((await clicks.geoRejections('c1')).map((r) => r.reason), ['already_submitted']);
+      assert.deepEqual((await clicks.last()).id, 'c1');
+
+      await clicks.insert(clickRecord({ id: 'dnt', minimized: 1 }));
+      await clicks.recordConsent({ id: 'dnt', consent_version: 'v1', consent_at: '2024-05-01T12:00:03.000Z' });
+      assert.deepEqual(await clicks.getConsent('dnt'), { consent_version: null, minimized: 1, geo_submitted_at: null });
+    });
+
+    await t.test('searches with filters, sorting and paging', async () => {
+      const clicks = createClickStore(storage);
+      await clicks.insert(clickRecord({ id: 'a', created_at: '2024-05-01T10:00:00.000Z', approx_country: 'DE', dest_url: 'https://Shop.example/a' }));
+      await clicks.insert(clickRecord({ id: 'b', created_at: '2024-05-02T10:00:00.000Z', approx_country: 'US', referrer: 'https://news.example/' }));
+      await clicks.insert(clickRecord({ id: 'c', created_at: '2024-05-03T10:00:00.000Z', approx_country: null, traffic_class: 'bot' }));
+      await clicks.insert(clickRecord({ id: 'd', created_at: '2024-05-04T10:00:00.000Z', approx_country: 'FR', user_agent: '100%_real' }));
+      await clicks.recordConsent({ id: 'b', consent_version: 'v1', consent_at: '2024-05-02T10:00:01.000Z' });
+
+      const ids = async (query) => (await clicks.search(search(query))).rows.map((r) => r.id);
+      assert.deepEqual(await ids({}), ['d', 'b', 'a']);
+      assert.deepEqual(await ids({ traffic: 'all' }), ['d', 'c', 'b', 'a']);
+      assert.deepEqual(await ids({ country: 'DE' }), ['a']);
+      assert.deepEqual(await ids({ dest: 'shop.EXAMPLE' }), ['a']);
+      assert.deepEqual(await ids({ referrer: 'news' }), ['b']);
+      assert.deepEqual(await ids({ q: '100%' }), ['d']);
+      assert.deepEqual(await ids({ q: '1_0' }), []);
+      assert.deepEqual(await ids({ consent: 'yes' }), ['b']);
+      assert.deepEqual(await ids({ consent: 'no' }), ['d', 'a']);
+      assert.deepEqual(await ids({ from: '2024-05-02', to: '2024-05-03' }), ['b']);
+      // Missing values sort first ascending and last descending on both backends
+      assert.deepEqual(await ids({ traffic: 'all', sort: 'country', dir: 'asc' }), ['c', 'a', 'd', 'b']);
+      assert.deepEqual(await ids({ traffic: 'all', sort: 'country', dir: 'desc' }), ['b', 'd', 'a', 'c']);
+
+      const page = await clicks.search(search({ traffic: 'all', per_page: '25', page: '1' }));
+      assert.equal(page.total, 4);
+      assert.equal(typeof page.total, 'number');
+      assert.deepEqual((await clicks.page({ traffic: 'human', limit: 2, offset: 1 })).map((r) => r.id), ['b', 'a']);
+    });
+
+    await t.test('reads export batches in (created_at, id) order', async () => {
+      const clicks = createClickStore(storage);
+      for (const id of ['b', 'a', 'c']) await clicks.insert(clickRecord({ id, created_at: '2024-05-01T10:00:00.000Z' }));
+      await clicks.insert(clickRecord({ id: 'z', created_at: '2024-04-30T10:00:00.000Z' }));
+      const range = { from: '2024-05-01T00:00:00.000Z', to: '2024-05-02T00:00:00.000Z', traffic: 'all', limit: 2 };
+      const first = await clicks.exportBatch({ ...range, after: { created_at: '', id: '' } });
+      assert.deepEqual(first.map((r) => r.id), ['a', 'b']);
+      const second = await clicks.exportBatch({ ...range, after: first[1] });
+      assert.deepEqual(second.map((r) => r.id), ['c']);
+    });
+
+    await t.test('computes stats and unique visitors', async () => {
+      const clicks = createClickStore(storage);
+      for (let i = 0; i < 6; i++) {
+        await clicks.insert(clickRecord({ id: `s${i}`, approx_country: i < 5 ? 'DE' : 'US', visitor_hash: `v${i % 2}` }));
+      }
+      const stats = await createStats(storage)({ from: '2024-05-01T00:00:00.000Z', to: '2024-05-02T00:00:00.000Z', k: 2 });
+      assert.equal(stats.total, 6);
+      assert.deepEqual(stats.series, [{ bucket: '2024-05-01', clicks: 6 }]);
+      // US alone would be total minus DE, so DE is hidden with it
+      assert.deepEqual(stats.breakdowns.country, [{ key: 'DE', clicks: null, suppressed: true }, { key: 'other', clicks: null, suppressed: true }]);
+      assert.equal(await clicks.uniqueVisitors({ since: '2024-05-01', traffic: 'human' }), 2);
+    });
+
+    await t.test('never leaves a single hidden count that the total gives away', async () => {
+      const clicks = createClickStore(storage);
+      const hours = ['10', '10', '10', '11', '11', '12', '13', '13', '13'];
+      const countries = ['DE', 'DE', 'DE', 'FR', 'FR', 'US', 'DE', 'FR', 'DE'];
+      for (const [i, hour] of hours.entries()) {
+        await clicks.insert(clickRecord({ id: `h${i}`, created_at: `2024-05-01T${hour}:30:00.000Z`, approx_country: countries[i] }));
+      }
+      const stats = await createStats(storage)({ from: '2024-05-01T00:00:00.000Z', to: '2024-05-02T00:00:00.000Z', bucket: 'hour', k: 2 });
+      assert.equal(stats.total, 9);
+      for (const rows of [stats.series, ...Object.values(stats.breakdowns)]) {
+        const hidden = rows.filter((row) => row.suppressed);
+        const shown = rows.reduce((sum, row) => sum + (row.clicks || 0), 0);
+        assert.notEqual(hidden.length, 1, `total ${stats.total} - shown ${shown} would reveal the hidden count`);
+      }
+      assert.deepEqual(stats.series.map((row) => row.clicks), [3, null, null, 3]);
+      assert.deepEqual(stats.breakdowns.country, [
+        { key: 'DE', clicks: 5 },
+        { key: 'FR', clicks: null, suppressed: true },
+        { key: 'other', clicks: null, suppressed: true }
+      ]);
+    });
+
+    await t.test('counts whole buckets, so ranges a moment apart cannot be told apart', async () => {
+      const clicks = createClickStore(storage);
+      for (const [i, minute] of ['05', '30', '31', '45'].entries()) {
+        await clicks.insert(clickRecord({ id: `m${i}`, created_at: `2024-05-01T10:${minute}:00.000Z`, approx_country: i === 2 ? 'FR' : 'DE' }));
+      }
+      const computeStats = createStats(storage);
+      const narrow = await computeStats({ from: '2024-05-01T10:30:00.000Z', to: '2024-05-01T10:31:00.000Z', bucket: 'hour', k: 2 });
+      const wider = await computeStats({ from: '2024-05-01T10:30:00.000Z', to: '2024-05-01T10:31:00.001Z', bucket: 'hour', k: 2 });
+      assert.deepEqual(narrow, wider);
+      assert.equal(narrow.from, '2024-05-01T10:00:00.000Z');
+      assert.equal(narrow.to, '2024-05-01T11:00:00.000Z');
+      assert.equal(narrow.total, 4);
+      const days = await computeStats({ from: '2024-05-01T10:30:00.000Z', to: '2024-05-01T10:31:00.000Z', k: 2 });
+      assert.deepEqual([days.from, days.to], ['2024-05-01T00:00:00.000Z', '2024-05-02T00:00:00.000Z']);
+    });
+
+    await t.test('reports campaigns', async () => {
+      const clicks = createClickStore(storage);
+      const campaigns = ['spring', 'spring', 'spring', null, 'autumn', 'autumn'];
+      for (const [i, campaign] of campaigns.entries()) {
+        await clicks.insert(clickRecord({ id: `c${i}`, campaign, utm_source: i < 2 ? 'mail' : null, approx_country: 'DE', visitor_hash: `v${i % 2}` }));
+      }
+      const report = await createCampaignReport(storage)({ from: '2024-05-01T00:00:00.000Z', to: '2024-05-02T00:00:00.000Z', k: 2 });
+      assert.deepEqual(report.campaigns, [
+        {
+          campaign: 'spring',
+          clicks: 3,
+          unique_visitors: 2,
+          countries: [{ key: 'DE', clicks: 3 }],
+          sources: [{ key: 'mail / (none)', clicks: null, suppressed: true }, { key: 'other', clicks: null, suppressed: true }]
+        },
+        // Hidden with the campaign-less click, which the clicks of all campaigns would otherwise give away
+        { campaign: 'autumn', clicks: null, unique_visitors: null, suppressed: true },
+        { campaign: null, clicks: null, unique_visitors: null, suppressed: true }
+      ]);
+    });
+
+    await t.test('purges by retention rule in one transaction', async () => {
+      const clicks = createClickStore(storage);
+      await clicks.insert(clickRecord({ id: 'old', created_at: '2024-01-01T00:00:00.000Z' }));
+      await clicks.insert(clickRecord({ id: 'mid', created_at: '2024-04-20T00:00:00.000Z', ip: '198.51.100.77' }));
+      await clicks.insert(clickRecord({ id: 'new', created_at: '2024-05-01T00:00:00.000Z' }));
+      await clicks.updateGeo(geoUpdate('mid'));
+      await clicks.recordGeoRejection({ created_at: '2024-01-01T00:00:01.000Z', click_id: 'old', reason: 'bad_token', detail: null });
+
+      const job = createRetentionJob({
+        storage,
+        rules: parseRetentionRules('delete=90d;drop_precise=7d;drop_device=7d;truncate_ip=7d'),
+        intervalMs: 60000,
+        now: () => Date.parse('2024-05-01T12:00:00.000Z')
+      });
+      const run = await job.runNow();
+      assert.equal(run.error, null);
+      assert.deepEqual(run.results.map((r) => [r.action, r.changes]), [['delete', 1], ['drop_precise', 1], ['drop_device', 1], ['truncate_ip', 1]]);
+
+      assert.equal(await clicks.get('old'), null);
+      assert.deepEqual(await clicks.geoRejections('old'), []);
+      const mid = await clicks.get('mid');
+      assert.equal(mid.precise_lat, null);
+      assert.equal(mid.device_platform, null);
+      assert.equal(mid.user_agent, null);
+      assert.equal(mid.ip, '198.51.100.0');
+      assert.equal(mid.ip_truncated, 1);
+      assert.equal((await clicks.get('new')).ip, '203.0.113.1');
+    });
+
+    await t.test('rolls back transactions and savepoints', async () => {
+      await assert.rejects(storage.transaction(async (tx) => {
+        await tx.run(`INSERT INTO visitor_salts (day, salt) VALUES (?, ?)`, ['2024-05-01', 'a']);
+        throw new Error('boom');
+      }), /boom/);
+      assert.equal(await storage.get(`SELECT salt FROM visitor_salts WHERE day = ?`, ['2024-05-01']), undefined);
+
+      await storage.transaction(async (tx) => {
+        await tx.run(`INSERT INTO visitor_salts (day, salt) VALUES (?, ?)`, ['2024-05-01', 'outer']);
+        await assert.rejects(tx.transaction(async (inner) => {
+          await inner.run(`INSERT INTO visitor_salts (day, salt) VALUES (?, ?)`, ['2024-05-02', 'inner']);
+          throw new Error('inner');
+        }));
+      });
+      assert.deepEqual(await storage.all(`SELECT day, salt FROM visitor_salts ORDER BY day`), [{ day: '2024-05-01', salt: 'outer' }]);
+
+      const rows = [];
+      await storage.each(`SELECT day FROM visitor_salts WHERE day >= ?`, ['2000-01-01'], (row) => rows.push(row.day));
+      assert.deepEqual(rows, ['2024-05-01']);
+    });
+
+    await t.test('keeps overlapping transactions apart', async () => {
+      const clicks = createClickStore(storage);
+      const erasure = createErasure(storage);
+      await clicks.insertMany([clickRecord({ id: 'o1' }), clickRecord({ id: 'o2' })]);
+
+      const failing = storage.transaction(async (tx) => {
+        await tx.run(`INSERT INTO visitor_salts (day, salt) VALUES (?, ?)`, ['2024-06-01', 'lost']);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        throw new Error('boom');
+      });
+      const [failed, first, inserted, second] = await Promise.allSettled([
+        failing,
+        erasure.erase('o1', { source: 'visitor' }),
+        clicks.insert(clickRecord({ id: 'o3' })),
+        erasure.erase('o2', { source: 'visitor' })
+      ]);
+      assert.equal(failed.reason.message, 'boom');
+      assert.deepEqual([first.value, inserted.status, second.value], [true, 'fulfilled', true]);
+
+      // Only the failed transaction was rolled back, and later ones still work
+      assert.equal(await storage.get(`SELECT salt FROM visitor_salts WHERE day = ?`, ['2024-06-01']), undefined);
+      assert.ok(await clicks.get('o3'));
+      await clicks.insertMany([clickRecord({ id: 'o4' })]);
+      assert.deepEqual((await storage.all(`SELECT id FROM clicks ORDER BY id`)).map((row) => row.id), ['o3', 'o4']);
+    });
+
+    await t.test('keeps one visitor salt per day', async () => {
+      const hash = createVisitorHasher(storage);
+      const other = createVisitorHasher(storage);
+      const day1 = new Date('2024-05-01T10:00:00Z');
+      const h = await hash('203.0.113.1', 'ua', day1);
+      assert.match(h, /^[0-9a-f]{32}$/);
+      assert.equal(await other('203.0.113.1', 'ua', day1), h);
+      assert.equal(await hash(null, 'ua', day1), null);
+      await hash('203.0.113.1', 'ua', new Date('2024-05-02T10:00:00Z'));
+      assert.deepEqual((await storage.all(`SELECT day FROM visitor_salts`)).map((r) => r.day), ['2024-05-02']);
+    });
+
+    await t.test('manages links with unique slugs', async () => {
+      const links = createLinkStore(storage);
+      const clicks = createClickStore(storage);
+      const link = await links.create({ slug: 'promo', destination: 'https://dest.example/' }, null);
+      assert.equal(link.slug, 'promo');
+      assert.equal(link.enabled, 1);
+      await assert.rejects(links.create({ slug: 'promo', destination: 'https://dest.example/' }, null), { status: 409 });
+
+      const other = await links.create({ slug: 'other', destination: 'https://dest.example/' }, null);
+      await assert.rejects(links.update(other.id, { slug: 'promo' }), { status: 409 });
+      assert.equal((await links.update(link.id, { enabled: false })).enabled, 0);
+      assert.equal((await links.resolve('promo')).status, 'disabled');
+      assert.equal((await links.resolve('nope')).status, 'missing');
+
+      await clicks.insert(clickRecord({ id: 'l1', link_id: other.id }));
+      assert.equal((await links.get(other.id)).clicks, 1);
+      assert.equal((await clicks.get('l1')).link_slug, 'other');
+      await assert.rejects(links.remove(other.id), { status: 409 });
+      await links.remove(link.id);
+      assert.deepEqual((await links.list()).map((l) => l.slug), ['other']);
+    });
+
+    await t.test('stores accounts, sessions and API tokens', async () => {
+      const auth = createAuth({ storage });
+      assert.equal(await auth.userCount(), 0);
+      const admin = await auth.createUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+      const viewer = await auth.createUser({ username: 'viewer', password: 'viewer-password', role: 'viewer' });
+      await assert.rejects(auth.createUser({ username: 'admin', password: 'other-password', role: 'viewer' }), /taken/);
+      assert.deepEqual(await auth.authenticate('viewer', 'viewer-password'), { id: viewer.id, username: 'viewer', role: 'viewer' });
+      assert.equal(await auth.authenticate('viewer', 'wrong-password'), null);
+
+      const token = await auth.createApiToken(viewer, { name: 'reader', scopes: ['clicks:read'] });
+      await auth.createApiToken(admin, { name: 'admin', scopes: ['links:write'] });
+      assert.equal((await auth.listApiTokens(viewer)).length, 1);
+      assert.equal((await auth.listApiTokens(admin)).length, 2);
+
+      const req = { get: (h) => (h === 'authorization' ? `Bearer ${token}` : undefined), cookies: {} };
+      await new Promise((resolve) => auth.loadAuth(req, {}, resolve));
+      assert.deepEqual(req.auth.scopes, ['clicks:read']);
+
+      const [listed] = await auth.listApiTokens(viewer);
+      assert.equal(await auth.revokeApiToken(viewer, listed.id), true);
+      assert.equal(await auth.revokeApiToken(viewer, listed.id), false);
+      await new Promise((resolve) => auth.loadAuth(req, {}, resolve));
+      assert.equal(req.auth, null);
+
+      // Deleting an account takes its tokens and presets along and leaves its links without an owner
+      const link = await createLinkStore(storage).create({ slug: 'owned', destination: 'https://dest.example/' }, viewer);
+      await createPresetStore(storage).save(viewer, { name: 'mine', query: 'country=DE' });
+      await auth.createApiToken(viewer, { name: 'active', scopes: ['clicks:read'] });
+      assert.equal(await auth.deleteUser(viewer.id), true);
+      assert.deepEqual((await auth.listUsers()).map((u) => u.username), ['admin']);
+      assert.deepEqual((await auth.listApiTokens(admin)).map((t) => t.name), ['admin']);
+      assert.equal((await createLinkStore(storage).get(link.id)).owner_id, null);
+      assert.equal((await storage.get(`SELECT COUNT(*) AS n FROM admin_presets`)).n, 0);
+    });
+
+    await t.test('counts rate limit windows', async () => {
+      let now = 60000;
+      const store = createDatabaseStore(storage, { now: () => now });
+      assert.deepEqual(await store.hit('k', 60000), { count: 1, resetAt: 120000 });
+      assert.equal((await store.hit('k', 60000)).count, 2);
+      assert.equal((await store.hit('other', 60000)).count, 1);
+      now = 125000;
+      assert.deepEqual(await store.hit('k', 60000), { count: 1, resetAt: 180000 });
+    });
+
+    await t.test('keeps the audit log append-only', async () => {
+      const auth = createAuth({ storage });
+      const user = await auth.createUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+      const audit = createAuditLog(storage);
+      await audit.record(fakeRequest(user), { filters: { limit: 5 }, rowCount: 5 });
+      await audit.record(fakeRequest(user, '/api/stats'));
+      const { rows, total } = await audit.page({ route: 'GET /api/logs', limit: 10, offset: 0 });
+      assert.equal(total, 1);
+      assert.deepEqual(JSON.parse(rows[0].filters), { limit: 5 });
+      assert.deepEqual(await audit.routes(), ['GET /api/logs', 'GET /api/stats']);
+      await assert.rejects(storage.run(`UPDATE audit_events SET actor = 'x'`), /append-only/);
+      await assert.rejects(storage.run(`DELETE FROM audit_events`), /append-only/);
+    });
+
+    await t.test('erases clicks and resolves erasure requests', async () => {
+      const clicks = createClickStore(storage);
+      const erasure = createErasure(storage);
+      const operator = { username: 'admin' };
+      await clicks.insert(clickRecord({ id: 'e1' }));
+      await clicks.recordGeoRejection({ created_at: '2024-05-01T12:00:06.000Z', click_id: 'e1', reason: 'bad_token', detail: null });
+
+      const request = await erasure.createRequest(operator, { contact: 'someone@example.com', click_id: 'e1' });
+      assert.equal(request.status, 'open');
+      assert.equal((await erasure.listRequests())[0].click_found, 1);
+
+      const resolved = await erasure.resolveRequest(operator, request.id, 'erase');
+      assert.equal(resolved.status, 'erased');
+      assert.equal(resolved.found, true);
+      await assert.rejects(erasure.resolveRequest(operator, request.id, 'reject'), { status: 409 });
+      assert.equal(await clicks.get('e1'), null);
+      assert.deepEqual(await clicks.geoRejections('e1'), []);
+      assert.equal(await erasure.erase('e1', { source: 'visitor' }), false);
+
+      const tombstones = await storage.all(`SELECT click_id, found, source, request_id FROM erasures ORDER BY id`);
+      assert.deepEqual(tombstones, [
+        { click_id: 'e1', found: 1, source: 'request', request_id: request.id },
+        { click_id: 'e1', found: 0, source: 'visitor', request_id: null }
+      ]);
+      assert.deepEqual(await erasure.listRequests({ status: 'open' }), []);
+    });
+
+    await t.test('saves presets per user', async () => {
+      const auth = createAuth({ storage });
+      const user = await auth.createUser({ username: 'admin', password: 'admin-password', role: 'admin' });
+      const presets = createPresetStore(storage);
+      await presets.save(user, { name: 'Germany', query: 'country=DE&page=3' });
+      assert.equal(await presets.save(user, { name: 'Germany', query: 'country=AT' }), 'country=AT');
+      const [saved, ...rest] = await presets.list(user);
+      assert.equal(rest.length, 0);
+      assert.equal(saved.query, 'country=AT');
+      assert.equal(await presets.remove({ id: user.id + 1 }, saved.id), false);
+      assert.equal(await presets.remove(user, saved.id), true);
+    });
+  });
+}
+
+test('STORAGE=postgres requires the signing keys every instance shares', () => {
+  const env = { STORAGE: 'postgres', DATABASE_URL: 'postgres://localhost/tracker' };
+  assert.throws(() => loadConfig(env), /Set GEO_TOKEN_KEY and TRACK_SIGNING_KEY when STORAGE=postgres/);
+  assert.throws(() => loadConfig({ ...env, GEO_TOKEN_KEY: 'geo-key' }), /Set TRACK_SIGNING_KEY when/);
+  assert.equal(loadConfig({ ...env, GEO_TOKEN_KEY: 'geo-key', TRACK_SIGNING_KEY: 'track-key' }).geoTokenKey, 'geo-key');
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { signTrackParams } = require('../src/redirects');
+const { startApp, browser } = require('./helpers');
+
+test('/track redirect mode', async (t) => {
+  const ctx = await startApp({ TRACK_SIGNING_KEY: 'test-signing-key' });
+  t.after(() => ctx.close());
+  const client = ctx.client();
+
+  await t.test('without a destination redirects to REDIRECT_DEFAULT and logs the click', async () => {
+    const res = await client.get('/track', { headers: browser(1) });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://fallback.example/');
+    const row = ctx.lastClick();
+    assert.equal(row.dest_url, 'https://fallback.example/');
+    assert.equal(row.ip, '203.0.113.1');
+    assert.equal(row.ip_source, 'x-forwarded-for');
+    assert.equal(row.traffic_class, 'human');
+    assert.equal(row.redirect_reason, null);
+  });
+
+  await t.test('follows a valid signed URL', async () => {
+    const params = signTrackParams('test-signing-key', 'https://allowed.example/page', new Date(Date.now() + 60000));
+    const res = await client.get(`/track?${new URLSearchParams(params)}`, { headers: browser(2) });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://allowed.example/page');
+    assert.equal(ctx.lastClick().redirect_reason, null);
+  });
+
+  await t.test('falls back on tampered, expired and unsigned URLs', async () => {
+    const params = signTrackParams('test-signing-key', 'https://allowed.example/page', new Date(Date.now() + 60000));
+    const cases = [
+      [{ ...params, u: 'https://allowed.example/other' }, 'bad_signature'],
+      [signTrackParams('test-signing-key', 'https://allowed.example/page', new Date(Date.now() - 1000)), 'expired_signature'],
+      [{ u: 'https://allowed.example/page' }, 'unsigned']
+    ];
+    for (const [i, [query, reason]] of cases.entries()) {
+      const res = await client.get(`/track?${new URLSearchParams(query)}`, { headers: browser(10 + i) });
+      assert.equal(res.status, 302);
+      assert.equal(res.headers.get('location'), 'https://fallback.example/');
+      assert.equal(ctx.lastClick().redirect_reason, reason);
+    }
+  });
+
+  await t.test('reads the client address only from TRUSTED_PROXY_HEADER', async () => {
+    await client.get('/track', { headers: browser(3, { forwarded: 'for=198.51.100.66' }) });
+    const row = ctx.lastClick();
+    assert.equal(row.ip, '203.0.113.3');
+    assert.equal(row.ip_source, 'x-forwarded-for');
+    assert.ok(!row.ip_chain.includes('198.51.100.66'));
+  });
+
+  await t.test('records scripted clients as bots', async () => {
+    await client.get('/track', { headers: { 'user-agent': 'curl/8.0', 'x-forwarded-for': '203.0.113.20' } });
+    const row = ctx.lastClick();
+    assert.equal(row.traffic_class, 'bot');
+    assert.equal(row.traffic_reason, 'ua');
+  });
+});
+
+test('TRUSTED_PROXY_HEADER=forwarded ignores X-Forwarded-For', async (t) => {
+  const ctx = await startApp({ TRUSTED_PROXY_HEADER: 'Forwarded' });
+  t.after(() => ctx.close());
+  await ctx.client().get('/track', { headers: browser(4, { forwarded: 'for="[2001:db8::7]:4711"' }) });
+  const row = ctx.lastClick();
+  assert.equal(row.ip, '2001:db8::7');
+  assert.equal(row.ip_source, 'forwarded');
+});
+
+test('/l/:slug managed links', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+  const client = ctx.client();
+  const { links } = ctx.app.locals.tracker;
+  const link = await links.create({ slug: 'promo', destination: 'https://anywhere.example/landing' }, ctx.admin);
+
+  await t.test('redirects and attributes the click to the link', async () => {
+    const res = await client.get('/l/promo', { headers: browser(1) });
+    assert.equal(res.status, 302);
+    assert.equal(res.headers.get('location'), 'https://anywhere.example/landing');
+    assert.equal(ctx.lastClick().link_id, link.id);
+  });
+
+  await t.test('answers 404 for unknown and 410 for disabled links', async () => {
+    assert.equal((await client.get('/l/nope', { headers: browser(2) })).status, 404);
+    await links.update(link.id, { enabled: false });
+    assert.equal((await client.get('/l/promo', { headers: browser(3) })).status, 410);
+  });
+});
+
+test('campaign attribution', async (t) => {
+  const ctx = await startApp({
+    LEGACY_TRACK_URLS: '1',
+    CAMPAIGN_PARAMS: 'cmp',
+    REDIRECT_UTM: 'utm_source=tracker&utm_medium=redirect&utm_campaign={campaign}'
+  });
+  t.after(() => ctx.close());
+  const client = ctx.client();
+  const track = (dest, extra = '', n = 1) => client.get(`/track?u=${encodeURIComponent(dest)}${extra}`, { headers: browser(n) });
+
+  await t.test('reads UTM parameters from the tracking URL, then the destination', async () => {
+    const res = await track('https://allowed.example/?utm_source=site&utm_medium=email&utm_campaign=spring', '&utm_source=newsletter&utm_content=hero');
+    const row = ctx.lastClick();
+    assert.deepEqual(
+      [row.utm_source, row.utm_medium, row.utm_campaign, row.utm_term, row.utm_content, row.campaign],
+      ['newsletter', 'email', 'spring', null, 'hero', 'spring']
+    );
+    // Parameters the destination already has are left alone
+    assert.equal(res.headers.get('location'), 'https://allowed.example/?utm_source=site&utm_medium=email&utm_campaign=spring');
+  });
+
+  await t.test('falls back to CAMPAIGN_PARAMS and tags the redirect', async () => {
+    const res = await track('https://allowed.example/page', '&cmp=autumn', 2);
+    assert.equal(ctx.lastClick().campaign, 'autumn');
+    assert.equal(ctx.lastClick().utm_campaign, null);
+    assert.equal(res.headers.get('location'), 'https://allowed.example/page?utm_source=tracker&utm_medium=redirect&utm_campaign=autumn');
+  });
+
+  await t.test('uses the managed link campaign and skips empty tags', async () => {
+    const { links } = ctx.app.locals.tracker;
+    await links.create({ slug: 'winter', destination: 'https://anywhere.example/', campaign: 'winter-sale' }, ctx.admin);
+    await links.create({ slug: 'plain', destination: 'https://anywhere.example/' }, ctx.admin);
+    const tagged = await client.get('/l/winter', { headers: browser(3) });
+    assert.equal(ctx.lastClick().campaign, 'winter-sale');
+    assert.equal(tagged.headers.get('location'), 'https://anywhere.example/?utm_source=tracker&utm_medium=redirect&utm_campaign=winter-sale');
+    const untagged = await client.get('/l/plain', { headers: browser(4) });
+    assert.equal(ctx.lastClick().campaign, null);
+    assert.equal(untagged.headers.get('location'), 'https://anywhere.example/?utm_source=tracker&utm_medium=redirect');
+  });
+});
+
+test('/track image mode', async (t) => {
+  const ctx = await startApp();
+  t.after(() => ctx.close());
+
+  await t.test('serves the consent page with a correlation cookie and geo token', async () => {
+    const client = ctx.client();
+    const res = await client.get('/track?u=view-transaction', { headers: browser(1) });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/html/);
+    assert.match(res.body, /Share your location\?/);
+    assert.match(res.body, /var GEO_TOKEN = "\d+\.[A-Za-z0-9_-]+";/);
+
+    // The inline script carries the nonce the CSP allows
+    const nonce = /<script nonce="([^"]+)">/.exec(res.body)[1];
+    assert.ok(res.headers.get('content-security-policy').includes(`'nonce-${nonce}'`));
+
+    const cid = client.cookies.get('cid');
+    assert.ok(cid);
+    const row = ctx.click(cid);
+    assert.equal(row.dest_url, 'view-transaction');
+    assert.equal(row.minimized, 0);
+  });
+
+  await t.test('DNT visitors get the image without cookie or script', async () => {
+    const client = ctx.client();
+    const res = await client.get('/track?u=view-transaction', { headers: browser(2, { dnt: '1' }) });
+    assert.equal(res.status, 200);
+    assert.doesNotMatch(res.body, /<script/);
+    assert.equal(client.cookies.has('cid'), false);
+    const row = ctx.lastClick();
+    assert.equal(row.minimized, 1);
+    assert.equal(row.privacy_signal, 'dnt');
+    assert.equal(row.user_agent, null);
+  });
+
+  await t.test('falls back to a generated SVG when there are no images', async () => {
+    const res = await ctx.client().get('/image/random');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /image\/svg\+xml/);
+  });
+});